@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: PropietarioUnico
 pragma solidity ^0.8.28;
 
-// Interfaz simplificada de ERC20 para transferencias y transferFrom
+// Interfaz simplificada de ERC20 para transferencias, transferFrom y saldo.
+// Las transferencias se hacen con llamadas de bajo nivel (_safeTransfer) para
+// admitir tokens que devuelven false o no devuelven nada
 interface IERC20 {
     function transferFrom(
         address sender,
@@ -13,9 +15,109 @@ interface IERC20 {
         address recipient,
         uint256 amount
     ) external returns (bool);
+
+    function balanceOf(address account) external view returns (uint256);
+}
+
+// Extensión EIP-2612 para aprobar mediante firma
+interface IERC20Permit {
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+}
+
+// Receptor de transferencias seguras ERC-721
+interface IERC721Receiver {
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes calldata data
+    ) external returns (bytes4);
+}
+
+// Transferencias seguras de ERC-721 y ERC-1155, para entregar los activos no fungibles
+interface IERC721 {
+    function safeTransferFrom(address from, address to, uint256 tokenId) external;
+}
+
+interface IERC1155 {
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external;
+}
+
+// Receptor de transferencias seguras ERC-1155
+interface IERC1155Receiver {
+    function onERC1155Received(
+        address operator,
+        address from,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external returns (bytes4);
+
+    function onERC1155BatchReceived(
+        address operator,
+        address from,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external returns (bytes4);
+}
+
+// Observador opcional de un escrow (p. ej. un marketplace) al que se notifican las
+// transiciones. msg.sender es el escrow; cada llamada tiene el gas limitado a
+// OBSERVER_GAS_LIMIT y si falla la transición sigue adelante
+interface IEscrowObserver {
+    function onEscrowFunded() external;
+
+    function onEscrowDisputed() external;
+
+    function onEscrowResolved() external;
+
+    function onEscrowRefunded() external;
 }
 
-contract Escrow {
+// Errores de configuración de un escrow, comunes a Escrow, sus módulos y EscrowFactory
+interface IEscrowErrors {
+    error EmptyParticipants();
+    error DuplicateParticipant(address participant);
+    error DuplicateRecipient(address recipient);
+    error ZeroShare(address account);
+    error ZeroMediator();
+    error InvalidThreshold(uint256 threshold);
+    error DuplicateToken(address token);
+    error ZeroRequiredAmount(address token);
+    error WeightByDepositsWithoutAssets();
+    error InvalidRecipientsSum(uint256 sum);
+    error InvalidMilestonesSum(uint256 sum);
+    error InvalidArbitrator(address arbitrator);
+    error InvalidQuorum(uint256 quorum);
+    error ZeroAppealArbitrator();
+    error QuotaForNonParticipant(address participant);
+    error QuotaForUnknownAsset(address token);
+    error InvalidQuotaSum(address token, uint256 sum);
+    error FeesExceedLimit(uint256 mediatorFee, uint256 protocolFee);
+    error ZeroFeeRecipient();
+    error InvalidVesting(uint256 cliff, uint256 duration);
+    error InvalidItem(uint256 index);
+    error ZeroCancellationSigner();
+}
+
+// Estructuras, estado, eventos y lógica interna comunes a Escrow y a sus módulos.
+// Escrow y sus módulos heredan de aquí para compartir el mismo layout de almacenamiento
+abstract contract EscrowBase is IEscrowErrors {
     // Estructuras de entrada para el constructor
     struct ParticipantInput {
         address addr;
@@ -32,13 +134,125 @@ contract Escrow {
         uint256 requiredAmount; // Cantidad requerida para considerar el asset fondeado
     }
 
+    // Activo no fungible requerido: un token ERC-721 concreto o una cantidad de un id ERC-1155
+    struct ItemInput {
+        ItemStandard standard;
+        address token;
+        uint256 id;
+        uint256 amount; // 1 para ERC-721
+        address recipient; // Quien lo recibe si el escrow se resuelve
+    }
+
+    struct MilestoneInput {
+        uint256 share; // Porción de cada asset que libera el hito, deben sumar 10000
+        uint256 confirmationPeriod; // Plazo para confirmar el hito (0 = confirmationPeriod general)
+    }
+
+    // Sustitución de la dirección de un participante o receptor
+    struct AccountChange {
+        address oldAccount;
+        address newAccount;
+    }
+
+    // Enmienda consensuada; lo que quede vacío o a 0 no cambia
+    struct Amendment {
+        AccountChange[] replacements;
+        RecipientInput[] recipientShares; // Nuevos shares de receptores existentes
+        uint256 fundingPeriodExtension;
+        uint256 confirmationPeriodExtension;
+        uint256 deadline; // Fecha límite para reunir las aprobaciones
+    }
+
+    struct QuotaInput {
+        address participant;
+        address token;
+        uint256 amount; // Aporte esperado del participante para ese asset
+    }
+
+    // Opciones adicionales de configuración del escrow
+    struct EscrowOptions {
+        QuotaInput[] quotas; // Cuotas explícitas; vacío = derivadas de participantShares
+        bool enforceQuotas; // El fondeo solo se completa si cada participante cubre su cuota
+        bool weightByDeposits; // Las confirmaciones pesan según lo depositado y no según el share
+        uint256 mediatorFee; // Comisión del mediador en base 10000
+        bool chargeMediatorFeeAlways; // false = solo si el mediador resuelve una disputa
+        address[] arbitrators; // Árbitros que forman panel con el mediador; vacío = solo el mediador
+        uint256 arbitrationQuorum; // Votos iguales necesarios para dictar; 0 = mayoría simple
+        address appealArbitrator; // Decide las apelaciones de la resolución del panel
+        uint256 appealPeriod; // Plazo para apelar; 0 = la resolución es firme al dictarse
+        uint256 appealBond; // Fianza en Ether para apelar
+        bool recipientPositions; // Representar cada share de receptor con un token ERC-721
+        uint256 vestingDuration; // Desbloqueo lineal de lo asignado al resolver; 0 = inmediato
+        uint256 vestingCliff; // Tiempo tras resolver sin desbloquear nada
+        bool amendmentsRequireMediator; // Las enmiendas necesitan también al mediador
+        ItemInput[] items; // Activos no fungibles requeridos además de los assets
+        bool optimistic; // Sin objeciones tras marcar la entrega, se libera a los receptores
+        address[] cancellationSigners; // Deben aprobar la cancelación; vacío = participantes y receptores
+        address observer; // Contrato IEscrowObserver notificado en cada transición; 0x0 = ninguno
+        string metaEvidence; // URI del MetaEvidence de ERC-1497 con el acuerdo; vacío = no se emite
+    }
+
+    // Configuración que impone la plataforma (EscrowFactory) al crear el escrow
+    struct PlatformConfig {
+        uint256 protocolFee; // Comisión de protocolo en base 10000
+        address protocolFeeRecipient;
+        address positions; // Colección de posiciones de receptor, 0x0 si no se usan
+    }
+
+    // Confirmación firmada (EIP-712) por un participante y enviada por un tercero
+    struct SignedConfirmation {
+        address participant;
+        uint256 deadline;
+        bytes signature; // Firma de 65 bytes (r, s, v)
+    }
+
+    // Asignación explícita del mediador en un reparto
+    struct SplitAllocation {
+        address account;
+        address token;
+        uint256 amount;
+    }
+
     // Representa un activo en el escrow (Ether o un token específico)
     struct Asset {
         address token;
         uint256 requiredAmount;
         uint256 depositedAmount; // Cantidad actualmente depositada
+        uint256 releasedAmount; // Cantidad ya liberada a los receptores por hitos
+    }
+
+    // Activo no fungible en el escrow; no se reparte por shares ni hitos, se entrega
+    // entero al receptor indicado o se devuelve a quien lo depositó
+    struct Item {
+        ItemStandard standard;
+        address token;
+        uint256 id;
+        uint256 amount;
+        address recipient;
+        address depositor; // 0x0 mientras no se ha depositado
+        bool withdrawn;
+    }
+
+    // Hito de pago: porción de los fondos que se libera al confirmarse
+    struct Milestone {
+        uint256 share;
+        uint256 confirmationPeriod;
     }
 
+    // Resoluciones que puede votar el panel; un reparto se identifica por el hash de sus parámetros
+    bytes32 public constant RULING_RECIPIENTS = keccak256("RECIPIENTS");
+    bytes32 public constant RULING_REFUND = keccak256("REFUND");
+
+    // Tipos EIP-712 para confirmaciones firmadas
+    bytes32 public constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant CONFIRM_TYPEHASH =
+        keccak256(
+            "Confirm(address escrow,address participant,uint256 milestone,uint256 nonce,uint256 deadline)"
+        );
+
     // Posibles estados del escrow
     enum State {
         INIT, // Inicial, esperando fondos
@@ -48,8 +262,72 @@ contract Escrow {
         REFUNDED // Reembolsado a los participantes
     }
 
-    // Dirección del mediador que resolverá disputas
-    address public mediator;
+    // Estándar de un activo no fungible
+    enum ItemStandard {
+        ERC721,
+        ERC1155
+    }
+
+    // Papeles de una dirección en un escrow, usados por los índices del factory
+    enum Role {
+        MEDIATOR,
+        PARTICIPANT,
+        RECIPIENT
+    }
+
+    // Factory que creó el escrow; se le notifican los cambios de estado y de mediador
+    address public factory;
+
+    // Observador notificado al fondearse, disputarse, resolverse o reembolsarse
+    // el escrow (0x0 = ninguno). Un observador que revierte o agota su gas no
+    // bloquea la transición: se emite ObserverCallFailed y se continúa
+    address public observer;
+    uint256 public constant OBSERVER_GAS_LIMIT = 100000;
+
+    // Panel de árbitros que resolverá disputas; el primero es el mediador.
+    // Un escrow con un solo mediador es un panel de uno con quórum 1
+    address[] public arbitrators;
+    mapping(address => bool) public isArbitrator;
+    uint256 public arbitrationQuorum;
+
+    // Votos del panel: resolución votada por cada árbitro y votos de cada resolución
+    mapping(address => bytes32) public arbitratorVote;
+    mapping(bytes32 => uint256) public rulingVotes;
+
+    // Aprobaciones de cambios en el panel (cambio -> dirección -> aprobado), con los
+    // votos de árbitros y el peso de participantes acumulados por cambio
+    mapping(bytes32 => mapping(address => bool)) public memberChangeApprovals;
+    mapping(bytes32 => uint256) public memberChangeArbitratorVotes;
+    mapping(bytes32 => uint256) public memberChangeParticipantWeight;
+    uint256 public panelNonce; // Invalida las aprobaciones pendientes al cambiar el panel
+
+    // Aprobaciones de enmiendas (enmienda -> dirección -> aprobado) y peso de
+    // participantes acumulado por enmienda
+    mapping(bytes32 => mapping(address => bool)) public amendmentApprovals;
+    mapping(bytes32 => uint256) public amendmentParticipantWeight;
+    uint256 public amendmentNonce; // Invalida las enmiendas pendientes al aplicar una
+    bool public amendmentsRequireMediator;
+
+    // Cancelación de mutuo acuerdo: quienes deben aprobarla (vacío = todos los
+    // participantes y receptores) y sus aprobaciones
+    address[] public cancellationSigners;
+    mapping(address => bool) public cancellationApprovals;
+
+    // Apelación: con appealPeriod > 0 la resolución del panel es provisional y no se
+    // ejecuta hasta que vence el plazo o appealArbitrator decide la apelación
+    address public appealArbitrator;
+    uint256 public appealPeriod;
+    uint256 public appealBond;
+
+    // Resolución provisional pendiente de ejecutar (rulingTime = 0 si no hay)
+    bytes32 public provisionalRuling;
+    uint256 public rulingTime;
+    uint256 internal provisionalRecipientsShare;
+    SplitAllocation[] internal provisionalAllocations;
+
+    // Apelación en curso (appellant = 0x0 si no hay)
+    address public appellant;
+    uint256 public appealTime;
 
     // Listado de participantes y mapping de sus shares
     address[] public participantsList;
@@ -60,10 +338,26 @@ contract Escrow {
     address[] public recipientsList;
     mapping(address => uint256) public recipientShares;
 
+    // Colección ERC-721 de posiciones de receptor (0x0 = shares fijos por dirección).
+    // Al transferir una posición su share pasa al nuevo titular
+    address public positions;
+
+    // Parte de los repartos en bloque anterior a que un receptor recibiera su share;
+    // se descuenta de lo que le corresponde (receptor -> token -> amount)
+    mapping(address => mapping(address => uint256)) public recipientDebt;
+
     // Lista de assets requeridos y un mapping para buscar su índice por token
     Asset[] public assets;
     mapping(address => uint256) public assetIndexByToken;
 
+    // Activos no fungibles requeridos, se depositan con transferencias seguras
+    Item[] public items;
+
+    // Hitos ordenados; sin hitos explícitos hay uno solo con el 100%
+    Milestone[] public milestones;
+    uint256 public currentMilestone; // Índice del hito pendiente de confirmar
+    uint256 public milestoneStartTime; // Inicio del plazo de confirmación del hito actual
+
     // Estado actual del escrow
     State public state;
 
@@ -79,33 +373,155 @@ contract Escrow {
     uint256 public creationTime;
     uint256 public fundedTime;
     uint256 public disputeStartTime;
-
-    // Confirmaciones de participantes
-    mapping(address => bool) public hasConfirmed;
-    uint256 public confirmationsWeight; // Suma de shares confirmados
+    uint256 public resolvedTime;
+
+    // Vesting: lo asignado a receptores al resolver (token -> amount) se desbloquea
+    // linealmente durante vestingDuration desde resolvedTime; antes de vestingCliff
+    // no se desbloquea nada. Lo liberado por hitos anteriores no se ve afectado
+    uint256 public vestingDuration;
+    uint256 public vestingCliff;
+    mapping(address => uint256) public vestingPool;
+
+    // Modo optimista: si los receptores marcan la entrega de un hito y ningún participante
+    // la objeta con una disputa durante el plazo de confirmación, el hito se libera en
+    // lugar de reembolsarse (hito -> momento en que se marcó la entrega, 0 = sin marcar)
+    bool public optimistic;
+    mapping(uint256 => uint256) public deliveryTime;
+
+    // Pausa de emergencia del guardián del factory, propia del escrow o global. Los
+    // plazos se amplían con el tiempo en pausa: cada uno guarda el tiempo en pausa
+    // acumulado al empezar y vence tanto más tarde como se haya pausado desde entonces
+    bool public paused;
+    uint256 public pausedAt;
+    uint256 internal localPausedTime; // Pausa propia ya terminada, sin lo que solapa la global
+    uint256 internal factoryPausedTimeAtPause; // Pausa global del factory al pausar
+    uint256 internal factoryPausedTimeAtCreation; // Pausa global anterior al escrow
+    uint256 internal milestonePausedTime;
+    uint256 internal deliveryPausedTime;
+    uint256 internal disputePausedTime;
+    uint256 internal rulingPausedTime;
+    uint256 internal appealPausedTime;
+
+    // Confirmaciones de participantes por hito (hito -> participante -> confirmado)
+    mapping(uint256 => mapping(address => bool)) public milestoneConfirmations;
+    uint256 public confirmationsWeight; // Suma de shares confirmados en el hito actual
+
+    // Nonce de confirmaciones firmadas por participante
+    mapping(address => uint256) public nonces;
 
     // Depósitos (participante -> token -> amount)
     mapping(address => mapping(address => uint256)) public deposits;
 
-    // Saldo pendiente de retirar (pull payments)
-    mapping(address => mapping(address => uint256)) public balancesToWithdraw;
+    // Aporte esperado de cada participante (participante -> token -> amount)
+    mapping(address => mapping(address => uint256)) public expectedContributions;
+    bool public enforceQuotas;
+    bool public weightByDeposits;
+
+    // Depósitos de los participantes que confirmaron el hito actual (token -> amount)
+    mapping(address => uint256) public confirmedDeposits;
+
+    // Asignaciones individuales acumuladas: comisiones, excedentes y repartos explícitos
+    // (dirección -> token -> amount)
+    mapping(address => mapping(address => uint256)) public credits;
+
+    // Cantidades asignadas en bloque a receptores y a participantes (token -> amount).
+    // La parte de cada uno se calcula al retirar, así resolver no depende del número de partes
+    mapping(address => uint256) public recipientsPool;
+    mapping(address => uint256) public participantsPool;
+
+    // Quienes absorben el redondeo de los repartos en bloque, para que sumen exactamente
+    // lo asignado: el receptor con mayor share y el participante con mayor aporte por token
+    address public largestRecipient;
+    mapping(address => address) public largestDepositor;
+
+    // Total retirado por cada dirección (dirección -> token -> amount)
+    mapping(address => mapping(address => uint256)) public withdrawn;
+
+    // Fondos registrados que custodia el contrato (token -> amount); el resto es recuperable con sweep()
+    mapping(address => uint256) public trackedBalances;
 
     bool public disputeRaised; // Indica si se inició una disputa
+    bool internal locked; // Protección contra reentradas en movimientos de tokens
+    bool internal initialized; // Evita reinicializar el escrow (clones EIP-1167)
+    bool public resolvedByMediator; // Indica si la resolución la dictó el mediador
+
+    // Comisiones en base 10000, descontadas por asset al asignar fondos
+    uint256 public mediatorFee;
+    bool public chargeMediatorFeeAlways;
+    uint256 public protocolFee;
+    address public protocolFeeRecipient;
 
     // Eventos para monitorear el flujo del contrato
     event StateChanged(State oldState, State newState);
     event Deposited(address indexed participant, address token, uint256 amount);
+    event ItemDeposited(address indexed participant, uint256 indexed item);
+    event ItemWithdrawn(address indexed to, uint256 indexed item);
     event Confirmed(address indexed participant);
-    event DisputeRaised(address indexed who);
+    event ConfirmationRevoked(address indexed participant);
+    event CancellationApproved(address indexed approver);
+    event MilestoneReleased(uint256 indexed milestone);
+    event DeliveryMarked(address indexed recipient, uint256 indexed milestone);
+    event ObserverCallFailed(address indexed observer, bytes4 hook);
+    event Paused(address indexed guardian);
+    event Unpaused(address indexed guardian, uint256 duration);
+    event DisputeRaised(address indexed who, string reason);
+    // Eventos estándar de ERC-1497. Cada escrow tiene un único MetaEvidence y una
+    // única disputa, ambos con identificador 0, y su grupo de pruebas es la dirección
+    // del escrow. evidence es la URI del documento (p. ej. ipfs://CID)
+    event MetaEvidence(uint256 indexed metaEvidenceID, string evidence);
+    event Dispute(
+        address indexed arbitrator,
+        uint256 indexed disputeID,
+        uint256 metaEvidenceID,
+        uint256 evidenceGroupID
+    );
+    event Evidence(
+        address indexed arbitrator,
+        uint256 indexed evidenceGroupID,
+        address indexed party,
+        string evidence
+    );
+    // Hash del contenido de la prueba emitida a la vez en Evidence
+    event EvidenceHash(address indexed party, bytes32 contentHash);
     event ResolvedByMediator(address indexed mediator);
+    event RulingVoted(address indexed arbitrator, bytes32 ruling, uint256 votes);
+    event MemberChangeApproved(
+        address indexed approver,
+        address oldMember,
+        address newMember
+    );
+    event MediatorChanged(address indexed oldMember, address indexed newMember);
+    event AmendmentApproved(bytes32 indexed amendment, address indexed approver);
+    event AmendmentApplied(bytes32 indexed amendment);
+    event AccountReplaced(address indexed oldAccount, address indexed newAccount);
+    event RecipientShareChanged(address indexed recipient, uint256 share);
+    event PeriodsExtended(uint256 fundingPeriod, uint256 confirmationPeriod);
+    event ProvisionalRuling(bytes32 ruling, uint256 appealDeadline);
+    event AppealRaised(address indexed appellant, uint256 bond);
+    event AppealDecided(
+        address indexed appealArbitrator,
+        bytes32 ruling,
+        bool upheld
+    );
+    event SplitRuling(
+        address indexed mediator,
+        uint256 recipientsShare,
+        SplitAllocation[] allocations
+    );
     event FundsAllocated(address indexed user, uint256 amount, address token);
+    event FundsAllocatedToRecipients(uint256 amount, address token);
+    event FundsAllocatedToParticipants(uint256 amount, address token);
     event Refunded(address indexed participant, uint256 amount, address token);
     event Withdrawn(address indexed user, uint256 amount, address token);
+    event FeeCharged(address indexed to, uint256 amount, address token);
+    event ExcessReturned(address indexed depositor, uint256 amount, address token);
+    event Swept(address indexed to, uint256 amount, address token);
     event DebugState(State state); // Evento para depuración
     event DebugIndex(uint256 index);
 
+    // Cualquier miembro del panel
     modifier onlyMediator() {
-        require(msg.sender == mediator, "Not mediator");
+        require(isArbitrator[msg.sender], "Not mediator");
         _;
     }
 
@@ -114,343 +530,2804 @@ contract Escrow {
         _;
     }
 
+    // Participantes y receptores
+    modifier onlyParty() {
+        require(_isParty(msg.sender), "Not a party");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(!locked, "Reentrant call");
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    // Depósitos, confirmaciones y disputas se detienen durante una pausa; retirar no
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
     modifier inState(State _s) {
         emit DebugState(state); // Evento para confirmar el estado actual
         require(state == _s, "Invalid state");
         _;
     }
 
-    // Constructor: configura el escrow con participantes, receptores, assets y tiempos
-    constructor(
-        address _mediator,
-        ParticipantInput[] memory _participants,
-        RecipientInput[] memory _recipients,
-        AssetInput[] memory _assets,
-        uint256 _confirmationsThreshold,
-        uint256 _fundingPeriod,
-        uint256 _confirmationPeriod,
-        uint256 _disputePeriod
-    ) {
-        mediator = _mediator;
-        confirmationsThreshold = _confirmationsThreshold;
-        fundingPeriod = _fundingPeriod;
-        confirmationPeriod = _confirmationPeriod;
-        disputePeriod = _disputePeriod;
-        creationTime = block.timestamp;
+    // Verifica si todos los assets y activos no fungibles requeridos están completos
+    function _checkAllDepositsCompleted() internal {
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].depositedAmount < assets[i].requiredAmount) {
+                return; // Si algún asset no está fondeado, salir
+            }
+        }
 
-        // Registrar participantes y sumar sus shares
-        uint256 sumShares = 0;
-        for (uint256 i = 0; i < _participants.length; i++) {
-            participantsList.push(_participants[i].addr);
-            participantShares[_participants[i].addr] = _participants[i].share;
-            sumShares += _participants[i].share;
+        for (uint256 i = 0; i < items.length; i++) {
+            if (items[i].depositor == address(0)) {
+                return;
+            }
         }
-        totalParticipantShare = sumShares;
 
-        // Registrar receptores y verificar que sumen 10000
-        uint256 sumRecipients = 0;
-        for (uint256 i = 0; i < _recipients.length; i++) {
-            recipientsList.push(_recipients[i].addr);
-            recipientShares[_recipients[i].addr] = _recipients[i].share;
-            sumRecipients += _recipients[i].share;
+        // Con cuotas, cada participante debe haber cubierto la suya
+        if (enforceQuotas && !_allQuotasMet()) {
+            return;
         }
-        require(sumRecipients == 10000, "Recipients shares must sum to 10000");
 
-        // Registrar assets requeridos
-        for (uint256 i = 0; i < _assets.length; i++) {
-            assets.push(
-                Asset({
-                    token: _assets[i].token,
-                    requiredAmount: _assets[i].requiredAmount,
-                    depositedAmount: 0
-                })
-            );
-            assetIndexByToken[_assets[i].token] = i + 1;
+        // Si todos los assets están fondeados, cambiar el estado
+        if (state == State.INIT) {
+            fundedTime = block.timestamp;
+            milestoneStartTime = block.timestamp;
+            milestonePausedTime = _pausedTime();
+            _setState(State.AWAITING_CONFIRMATION);
+            _notifyObserver(IEscrowObserver.onEscrowFunded.selector);
         }
+    }
 
-        state = State.INIT;
+    function _allQuotasMet() internal view returns (bool) {
+        for (uint256 p = 0; p < participantsList.length; p++) {
+            address participantAddr = participantsList[p];
+            for (uint256 a = 0; a < assets.length; a++) {
+                address token = assets[a].token;
+                if (
+                    deposits[participantAddr][token] <
+                    expectedContributions[participantAddr][token]
+                ) {
+                    return false;
+                }
+            }
+        }
+        return true;
     }
 
-    // Funciones para obtener conteos, facilitan las llamadas desde fuera
-    function participantsCount() external view returns (uint256) {
-        return participantsList.length;
+    function _checkFundingDeadline() internal view {
+        require(
+            block.timestamp <= _deadline(creationTime, fundingPeriod, 0),
+            "Funding period expired"
+        );
     }
 
-    function recipientsCount() external view returns (uint256) {
-        return recipientsList.length;
+    function _requireNotPaused() internal view {
+        require(!paused && !EscrowFactory(factory).paused(), "Paused");
     }
 
-    function assetsCount() external view returns (uint256) {
-        return assets.length;
+    // Tiempo total en pausa desde la creación, propia o global, contando una sola vez
+    // los intervalos en que coinciden ambas
+    function _pausedTime() internal view returns (uint256) {
+        uint256 factoryPausedTime = EscrowFactory(factory).pausedTime();
+        uint256 total = localPausedTime +
+            factoryPausedTime -
+            factoryPausedTimeAtCreation;
+        if (paused) {
+            total +=
+                block.timestamp -
+                pausedAt -
+                (factoryPausedTime - factoryPausedTimeAtPause);
+        }
+        return total;
     }
 
-    // -------------------
-    // Depósito de Fondos
-    // -------------------
+    // Fin de un plazo de period segundos desde start, ampliado con el tiempo en pausa
+    // posterior (pausedBefore es _pausedTime() al empezar el plazo)
+    function _deadline(
+        uint256 start,
+        uint256 period,
+        uint256 pausedBefore
+    ) internal view returns (uint256) {
+        return start + period + _pausedTime() - pausedBefore;
+    }
 
-    // Depósito de Ether nativo
-    function depositETH() external payable inState(State.INIT) {
-        require(msg.value > 0, "No ETH sent");
-        _checkFundingDeadline();
+    // Fin del plazo de confirmación del hito actual
+    function _confirmationDeadline() internal view returns (uint256) {
+        return
+            _deadline(
+                milestoneStartTime,
+                _currentConfirmationPeriod(),
+                milestonePausedTime
+            );
+    }
 
-        uint256 idx = assetIndexByToken[address(0)];
-        emit DebugIndex(idx); // Agregar este evento para verificar el índice
-        require(idx != 0, "No ETH asset required");
-        uint256 assetIdx = idx - 1;
+    // Libera el hito actual; el último hito resuelve el escrow
+    function _releaseCurrentMilestone() internal {
+        uint256 index = currentMilestone;
+        if (index == milestones.length - 1) {
+            _allocateFundsToRecipients();
+        } else {
+            // Porción acumulada hasta este hito, evita arrastrar redondeos
+            uint256 cumulativeShare = 0;
+            for (uint256 m = 0; m <= index; m++) {
+                cumulativeShare += milestones[m].share;
+            }
+            for (uint256 i = 0; i < assets.length; i++) {
+                uint256 target = (assets[i].depositedAmount * cumulativeShare) /
+                    10000;
+                _allocateAssetToRecipients(i, target - assets[i].releasedAmount);
+            }
 
-        // Registrar depósito
-        assets[assetIdx].depositedAmount += msg.value;
-        deposits[msg.sender][address(0)] += msg.value;
+            currentMilestone = index + 1;
+            milestoneStartTime = block.timestamp;
+            milestonePausedTime = _pausedTime();
+            confirmationsWeight = 0;
+            for (uint256 i = 0; i < assets.length; i++) {
+                confirmedDeposits[assets[i].token] = 0;
+            }
+        }
+        emit MilestoneReleased(index);
+    }
 
-        emit Deposited(msg.sender, address(0), msg.value);
+    // Asigna a receptores todo lo no liberado y pasa a RESOLVED
+    function _allocateFundsToRecipients() internal {
+        require(
+            state == State.AWAITING_CONFIRMATION || state == State.DISPUTE,
+            "Wrong state"
+        );
+        _setState(State.RESOLVED);
 
-        _checkAllDepositsCompleted();
+        // Distribuir el remanente según las shares de los receptores
+        for (uint256 i = 0; i < assets.length; i++) {
+            _allocateAssetToRecipients(
+                i,
+                assets[i].depositedAmount - assets[i].releasedAmount
+            );
+        }
+        _notifyObserver(IEscrowObserver.onEscrowResolved.selector);
     }
 
-    // Depósito de tokens ERC20
-    function depositToken(
-        address token,
-        uint256 amount
-    ) external inState(State.INIT) {
-        require(token != address(0), "Invalid token");
-        require(amount > 0, "No token amount");
-        _checkFundingDeadline();
+    // Libera una cantidad de un asset a los receptores, descontando comisiones
+    function _allocateAssetToRecipients(
+        uint256 assetIdx,
+        uint256 totalAmount
+    ) internal {
+        assets[assetIdx].releasedAmount += totalAmount;
+        _distributeToRecipients(assetIdx, _deductFees(assetIdx, totalAmount));
+    }
 
-        uint256 idx = assetIndexByToken[token];
-        require(idx != 0, "Token asset not required");
-        uint256 assetIdx = idx - 1;
+    // Asigna una cantidad de un asset a los receptores; cada uno la retira según su share
+    function _distributeToRecipients(
+        uint256 assetIdx,
+        uint256 totalAmount
+    ) internal {
+        address token = assets[assetIdx].token;
+        recipientsPool[token] += totalAmount;
+        if (vestingDuration > 0 && state == State.RESOLVED) {
+            vestingPool[token] += totalAmount;
+        }
+        emit FundsAllocatedToRecipients(totalAmount, token);
+    }
 
-        // Transferencia del token al contrato
-        IERC20(token).transferFrom(msg.sender, address(this), amount);
+    // Descuenta las comisiones de una cantidad y las acredita; devuelve el neto.
+    // Las comisiones redondean hacia abajo, a favor de las partes
+    function _deductFees(
+        uint256 assetIdx,
+        uint256 amount
+    ) internal returns (uint256) {
+        address token = assets[assetIdx].token;
+        (uint256 protocolAmount, uint256 mediatorAmount) = _fees(amount);
 
-        assets[assetIdx].depositedAmount += amount;
-        deposits[msg.sender][token] += amount;
+        if (protocolAmount > 0) {
+            credits[protocolFeeRecipient][token] += protocolAmount;
+            emit FeeCharged(protocolFeeRecipient, protocolAmount, token);
+        }
+        if (mediatorAmount > 0) {
+            _creditPanel(token, mediatorAmount);
+        }
 
-        emit Deposited(msg.sender, token, amount);
+        return amount - protocolAmount - mediatorAmount;
+    }
 
-        _checkAllDepositsCompleted();
+    // Comisiones de protocolo y del mediador sobre una cantidad
+    function _fees(
+        uint256 amount
+    ) internal view returns (uint256 protocolAmount, uint256 mediatorAmount) {
+        protocolAmount = (amount * protocolFee) / 10000;
+        if (chargeMediatorFeeAlways || resolvedByMediator) {
+            mediatorAmount = (amount * mediatorFee) / 10000;
+        }
     }
 
-    // Verifica si todos los assets requeridos están completos
-    function _checkAllDepositsCompleted() internal {
-        for (uint256 i = 0; i < assets.length; i++) {
-            if (assets[i].depositedAmount < assets[i].requiredAmount) {
-                return; // Si algún asset no está fondeado, salir
-            }
+    // Reparte la comisión del mediador a partes iguales entre el panel; el
+    // mediador se queda el redondeo
+    function _creditPanel(address token, uint256 amount) internal {
+        uint256 part = amount / arbitrators.length;
+        for (uint256 i = 0; i < arbitrators.length; i++) {
+            uint256 credited = i == 0
+                ? amount - part * (arbitrators.length - 1)
+                : part;
+            credits[arbitrators[i]][token] += credited;
+            emit FeeCharged(arbitrators[i], credited, token);
         }
+    }
 
-        // Si todos los assets están fondeados, cambiar el estado
-        if (state == State.INIT) {
-            State oldState = state;
-            state = State.AWAITING_CONFIRMATION;
-            fundedTime = block.timestamp;
-            emit StateChanged(oldState, state);
+    function _isParty(address account) internal view returns (bool) {
+        return participantShares[account] > 0 || recipientShares[account] > 0;
+    }
+
+    // Cambia de estado y lo notifica al factory para que actualice sus índices
+    function _setState(State newState) internal {
+        State oldState = state;
+        state = newState;
+        if (newState == State.RESOLVED) {
+            resolvedTime = block.timestamp;
         }
+        emit StateChanged(oldState, newState);
+        EscrowFactory(factory).onEscrowStateChanged(oldState, newState);
     }
 
-    function _checkFundingDeadline() internal view {
+    // Llama al observador una vez completada la transición, con el gas limitado.
+    // Se exige gas suficiente para que el límite se respete (EIP-150 solo reenvía
+    // 63/64 del restante), así quien provoca la transición no puede hacer fallar
+    // la notificación a propósito. Los datos de retorno no se copian
+    function _notifyObserver(bytes4 hook) internal {
+        address target = observer;
+        if (target == address(0)) {
+            return;
+        }
         require(
-            block.timestamp <= creationTime + fundingPeriod,
-            "Funding period expired"
+            gasleft() > (OBSERVER_GAS_LIMIT * 64) / 63 + 5000,
+            "Not enough gas for observer"
         );
+        bool success;
+        assembly {
+            mstore(0, hook)
+            success := call(OBSERVER_GAS_LIMIT, target, 0, 0, 4, 0, 0)
+        }
+        if (!success) {
+            emit ObserverCallFailed(target, hook);
+        }
     }
 
-    // -------------------
-    // Confirmaciones
-    // -------------------
-    function confirm()
-        external
-        inState(State.AWAITING_CONFIRMATION)
-        onlyParticipant
-    {
-        // Verificar si el participante ya confirmó
-        require(!hasConfirmed[msg.sender], "Already confirmed");
-
-        // Registrar la confirmación del participante
-        hasConfirmed[msg.sender] = true;
-        confirmationsWeight += participantShares[msg.sender];
-
-        emit Confirmed(msg.sender);
+    // Plazo de confirmación vigente para el hito actual
+    function _currentConfirmationPeriod() internal view returns (uint256) {
+        uint256 period = milestones[currentMilestone].confirmationPeriod;
+        return period == 0 ? confirmationPeriod : period;
+    }
 
-        // Verificar si se alcanzó el umbral de confirmación
-        uint256 confirmationsPercent = (confirmationsWeight * 10000) /
-            totalParticipantShare;
-        if (confirmationsPercent >= confirmationsThreshold) {
-            _allocateFundsToRecipients();
-        }
+    // Parte de un receptor en lo asignado a receptores, descontando lo asignado
+    // antes de que recibiera su share
+    function _recipientEntitlement(
+        address account,
+        address token
+    ) internal view returns (uint256) {
+        return
+            _recipientAllocation(account, token) -
+            recipientDebt[account][token];
     }
 
-    // Asigna fondos a receptores en estado RESOLVED
-    function _allocateFundsToRecipients() internal {
-        require(state == State.AWAITING_CONFIRMATION, "Wrong state");
-        State oldState = state;
-        state = State.RESOLVED;
-        emit StateChanged(oldState, state);
+    // Parte desbloqueada del pool de receptores según el share actual
+    function _recipientAllocation(
+        address account,
+        address token
+    ) internal view returns (uint256) {
+        uint256 allocation = _recipientPart(account, recipientsPool[token]);
+        uint256 unvested = _recipientPart(account, _unvestedPool(token));
+        return allocation > unvested ? allocation - unvested : 0;
+    }
 
-        // Distribuir fondos según las shares de los receptores
-        for (uint256 i = 0; i < assets.length; i++) {
-            Asset memory asset = assets[i];
-            uint256 totalAmount = asset.depositedAmount;
-            for (uint256 r = 0; r < recipientsList.length; r++) {
-                address rcpt = recipientsList[r];
-                uint256 share = recipientShares[rcpt];
-                uint256 amountToAllocate = (totalAmount * share) / 10000;
+    // Parte de una cantidad repartida entre receptores. Las partes redondean hacia
+    // abajo y largestRecipient recibe lo que queda, así el reparto es exacto
+    function _recipientPart(
+        address account,
+        uint256 pool
+    ) internal view returns (uint256) {
+        if (pool == 0 || account != largestRecipient) {
+            return (pool * recipientShares[account]) / 10000;
+        }
 
-                balancesToWithdraw[rcpt][asset.token] += amountToAllocate;
-                emit FundsAllocated(rcpt, amountToAllocate, asset.token);
+        uint256 others = 0;
+        for (uint256 r = 0; r < recipientsList.length; r++) {
+            address rcpt = recipientsList[r];
+            if (rcpt != account) {
+                others += (pool * recipientShares[rcpt]) / 10000;
             }
         }
+        return pool - others;
     }
 
-    // -------------------
-    // Disputas
-    // -------------------
-    function raiseDispute() external inState(State.AWAITING_CONFIRMATION) {
+    // Parte de vestingPool que sigue bloqueada
+    function _unvestedPool(address token) internal view returns (uint256) {
+        uint256 amount = vestingPool[token];
+        if (amount == 0) {
+            return 0;
+        }
+        uint256 elapsed = block.timestamp - resolvedTime;
+        if (elapsed < vestingCliff) {
+            return amount;
+        }
+        if (elapsed >= vestingDuration) {
+            return 0;
+        }
+        return (amount * (vestingDuration - elapsed)) / vestingDuration;
+    }
+
+    // Reembolsar a participantes la parte no liberada de sus aportes
+    function _allocateRefundToParticipants() internal {
         require(
-            block.timestamp > fundedTime + confirmationPeriod,
-            "Confirmation period not ended"
+            state != State.RESOLVED && state != State.REFUNDED,
+            "Already resolved or refunded"
         );
+        _setState(State.REFUNDED);
 
-        disputeRaised = true;
-        State oldState = state;
-        state = State.DISPUTE;
-        disputeStartTime = block.timestamp;
-        emit StateChanged(oldState, state);
-        emit DisputeRaised(msg.sender);
+        // Devolver a cada participante lo que aportó, descontando lo ya liberado
+        for (uint256 a = 0; a < assets.length; a++) {
+            _refundAssetToParticipants(
+                a,
+                assets[a].depositedAmount - assets[a].releasedAmount
+            );
+        }
+        _notifyObserver(IEscrowObserver.onEscrowRefunded.selector);
     }
 
-    // El mediador puede resolver a favor de los receptores
-    function resolveDisputeToRecipients()
-        external
-        onlyMediator
-        inState(State.DISPUTE)
-    {
-        _checkDisputeDeadline();
-        _allocateFundsToRecipients();
-        emit ResolvedByMediator(msg.sender);
+    // Reembolsa una cantidad de un asset a los participantes, descontando comisiones
+    function _refundAssetToParticipants(
+        uint256 assetIdx,
+        uint256 totalAmount
+    ) internal {
+        _distributeToParticipants(assetIdx, _deductFees(assetIdx, totalAmount));
     }
 
-    // El mediador puede resolver reembolsando a los participantes
-    function resolveDisputeRefundAll()
-        external
-        onlyMediator
-        inState(State.DISPUTE)
-    {
-        _checkDisputeDeadline();
-        _allocateRefundToParticipants();
-        emit ResolvedByMediator(msg.sender);
+    // Asigna una cantidad de un asset a los participantes; cada uno la retira
+    // en proporción a lo que aportó
+    function _distributeToParticipants(
+        uint256 assetIdx,
+        uint256 totalAmount
+    ) internal {
+        Asset storage asset = assets[assetIdx];
+        if (asset.depositedAmount == 0) {
+            return;
+        }
+        participantsPool[asset.token] += totalAmount;
+        emit FundsAllocatedToParticipants(totalAmount, asset.token);
+    }
+}
+
+contract Escrow is EscrowBase {
+    // Módulos ejecutados con delegatecall sobre el estado de cada escrow: disputas,
+    // reembolsos y panel (EscrowDisputeModule); posiciones y enmiendas
+    // (EscrowPartiesModule); activos no fungibles (EscrowItemsModule); inicialización
+    // (EscrowSetupModule)
+    address public immutable disputeModule;
+    address public immutable partiesModule;
+    address public immutable itemsModule;
+    address public immutable setupModule;
+
+    // La implementación queda inicializada; solo sus clones pueden inicializarse
+    constructor(
+        address _disputeModule,
+        address _partiesModule,
+        address _itemsModule,
+        address _setupModule
+    ) {
+        require(
+            _disputeModule != address(0) &&
+                _partiesModule != address(0) &&
+                _itemsModule != address(0) &&
+                _setupModule != address(0),
+            "Invalid module"
+        );
+        disputeModule = _disputeModule;
+        partiesModule = _partiesModule;
+        itemsModule = _itemsModule;
+        setupModule = _setupModule;
+        initialized = true;
+    }
+
+    // Inicializador: configura el escrow con participantes, receptores, assets y tiempos.
+    // Sustituye al constructor para poder desplegar el escrow como clon EIP-1167.
+    // Implementado en EscrowSetupModule, ver setupModule. Los arrays van en memory
+    // porque en calldata los argumentos no caben en la pila
+    function initialize(
+        address,
+        ParticipantInput[] memory,
+        RecipientInput[] memory,
+        AssetInput[] memory,
+        MilestoneInput[] memory,
+        uint256,
+        uint256,
+        uint256,
+        uint256,
+        EscrowOptions calldata,
+        PlatformConfig calldata
+    ) external {
+        _delegate(setupModule);
+    }
+
+    // Funciones para obtener conteos, facilitan las llamadas desde fuera
+    function participantsCount() external view returns (uint256) {
+        return participantsList.length;
+    }
+
+    function recipientsCount() external view returns (uint256) {
+        return recipientsList.length;
+    }
+
+    function assetsCount() external view returns (uint256) {
+        return assets.length;
+    }
+
+    function itemsCount() external view returns (uint256) {
+        return items.length;
+    }
+
+    function milestonesCount() external view returns (uint256) {
+        return milestones.length;
+    }
+
+    function arbitratorsCount() external view returns (uint256) {
+        return arbitrators.length;
+    }
+
+    // El mediador es el primer miembro del panel
+    function mediator() external view returns (address) {
+        return arbitrators[0];
+    }
+
+    // Indica si el participante confirmó el hito actual
+    function hasConfirmed(address participant) external view returns (bool) {
+        return milestoneConfirmations[currentMilestone][participant];
+    }
+
+    // -------------------
+    // Depósito de Fondos
+    // -------------------
+
+    // Depósito de Ether nativo
+    function depositETH() external payable {
+        _depositETH(msg.sender);
+    }
+
+    // Depósito de Ether acreditado a otro participante
+    function depositETHFor(address participant) external payable {
+        _depositETH(participant);
+    }
+
+    // Depósito de tokens ERC20
+    function depositToken(
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        _depositToken(msg.sender, token, amount);
+    }
+
+    // Depósito de tokens ERC20 con aprobación EIP-2612 en la misma transacción
+    function depositTokenWithPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        // Si alguien adelantó el permit, la aprobación ya existe y el depósito sigue
+        try
+            IERC20Permit(token).permit(
+                msg.sender,
+                address(this),
+                amount,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+        _depositToken(msg.sender, token, amount);
+    }
+
+    // Depósito de tokens ERC20 acreditado a otro participante
+    function depositTokenFor(
+        address participant,
+        address token,
+        uint256 amount
+    ) external nonReentrant {
+        _depositToken(participant, token, amount);
+    }
+
+    function _depositETH(
+        address participant
+    ) internal inState(State.INIT) whenNotPaused {
+        require(msg.value > 0, "No ETH sent");
+        require(participantShares[participant] > 0, "Not a participant");
+        _checkFundingDeadline();
+
+        uint256 idx = assetIndexByToken[address(0)];
+        emit DebugIndex(idx); // Agregar este evento para verificar el índice
+        require(idx != 0, "No ETH asset required");
+        uint256 assetIdx = idx - 1;
+
+        // Solo se acepta hasta lo que falta; el excedente queda para retirar
+        uint256 accepted = _acceptedAmount(assetIdx, participant, msg.value);
+        require(accepted > 0, "Asset already funded");
+
+        // Registrar depósito
+        assets[assetIdx].depositedAmount += accepted;
+        deposits[participant][address(0)] += accepted;
+        _trackLargestDepositor(participant, address(0));
+        trackedBalances[address(0)] += msg.value;
+
+        emit Deposited(participant, address(0), accepted);
+
+        uint256 excess = msg.value - accepted;
+        if (excess > 0) {
+            credits[msg.sender][address(0)] += excess;
+            emit ExcessReturned(msg.sender, excess, address(0));
+        }
+
+        _checkAllDepositsCompleted();
+    }
+
+    function _depositToken(
+        address participant,
+        address token,
+        uint256 amount
+    ) internal inState(State.INIT) whenNotPaused {
+        require(token != address(0), "Invalid token");
+        require(amount > 0, "No token amount");
+        require(participantShares[participant] > 0, "Not a participant");
+        _checkFundingDeadline();
+
+        uint256 idx = assetIndexByToken[token];
+        require(idx != 0, "Token asset not required");
+        uint256 assetIdx = idx - 1;
+
+        require(
+            _acceptedAmount(assetIdx, participant, amount) > 0,
+            "Asset already funded"
+        );
+
+        // Transferencia del token al contrato desde quien paga; se registra lo
+        // realmente recibido por si el token cobra comisión en las transferencias,
+        // así quien paga puede enviar de más para cubrirla
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _safeTransferFrom(token, msg.sender, address(this), amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) -
+            balanceBefore;
+        require(received > 0, "No tokens received");
+
+        // Lo recibido por encima de lo que falta queda para retirar
+        uint256 accepted = _acceptedAmount(assetIdx, participant, received);
+        assets[assetIdx].depositedAmount += accepted;
+        deposits[participant][token] += accepted;
+        _trackLargestDepositor(participant, token);
+        trackedBalances[token] += received;
+
+        emit Deposited(participant, token, accepted);
+
+        uint256 excess = received - accepted;
+        if (excess > 0) {
+            credits[msg.sender][token] += excess;
+            emit ExcessReturned(msg.sender, excess, token);
+        }
+
+        _checkAllDepositsCompleted();
+    }
+
+    // Cantidad aceptable de un depósito: lo que falta del asset o de la cuota del participante
+    function _acceptedAmount(
+        uint256 assetIdx,
+        address participant,
+        uint256 amount
+    ) internal view returns (uint256) {
+        Asset storage asset = assets[assetIdx];
+        uint256 required = enforceQuotas
+            ? expectedContributions[participant][asset.token]
+            : asset.requiredAmount;
+        uint256 deposited = enforceQuotas
+            ? deposits[participant][asset.token]
+            : asset.depositedAmount;
+        uint256 remaining = required > deposited ? required - deposited : 0;
+        return amount < remaining ? amount : remaining;
+    }
+
+    // Los depósitos solo crecen, así basta comparar con el mayor hasta ahora
+    function _trackLargestDepositor(address participant, address token) internal {
+        if (
+            deposits[participant][token] >
+            deposits[largestDepositor[token]][token]
+        ) {
+            largestDepositor[token] = participant;
+        }
+    }
+
+    // -------------------
+    // Confirmaciones
+    // -------------------
+    function confirm()
+        external
+        inState(State.AWAITING_CONFIRMATION)
+        onlyParticipant
+        whenNotPaused
+    {
+        _confirm(msg.sender);
+    }
+
+    // Retirar la confirmación del hito actual; solo es posible mientras no se alcanza
+    // el umbral, porque al alcanzarlo el hito se libera
+    function revokeConfirmation()
+        external
+        inState(State.AWAITING_CONFIRMATION)
+        onlyParticipant
+        whenNotPaused
+    {
+        require(
+            milestoneConfirmations[currentMilestone][msg.sender],
+            "Not confirmed"
+        );
+
+        milestoneConfirmations[currentMilestone][msg.sender] = false;
+        confirmationsWeight -= participantShares[msg.sender];
+        for (uint256 i = 0; i < assets.length; i++) {
+            address token = assets[i].token;
+            confirmedDeposits[token] -= deposits[msg.sender][token];
+        }
+
+        emit ConfirmationRevoked(msg.sender);
+    }
+
+    // Cualquiera puede enviar confirmaciones firmadas por los participantes (EIP-712).
+    // La firma incluye el hito, así no puede reutilizarse en hitos posteriores
+    function confirmWithSignatures(
+        SignedConfirmation[] calldata confirmations
+    ) external whenNotPaused {
+        for (uint256 i = 0; i < confirmations.length; i++) {
+            SignedConfirmation calldata confirmation = confirmations[i];
+            require(state == State.AWAITING_CONFIRMATION, "Invalid state");
+            require(
+                participantShares[confirmation.participant] > 0,
+                "Not a participant"
+            );
+            require(
+                block.timestamp <= confirmation.deadline,
+                "Signature expired"
+            );
+
+            bytes32 structHash = keccak256(
+                abi.encode(
+                    CONFIRM_TYPEHASH,
+                    address(this),
+                    confirmation.participant,
+                    currentMilestone,
+                    nonces[confirmation.participant],
+                    confirmation.deadline
+                )
+            );
+            bytes32 digest = keccak256(
+                abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash)
+            );
+            require(
+                _recoverSigner(digest, confirmation.signature) ==
+                    confirmation.participant,
+                "Invalid signature"
+            );
+
+            nonces[confirmation.participant]++;
+            _confirm(confirmation.participant);
+        }
+    }
+
+    // Separador de dominio EIP-712, calculado al vuelo por si cambia la cadena
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256(bytes("SimpleEscrow")),
+                    keccak256(bytes("1")),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    // Recupera el firmante rechazando firmas maleables (s en la mitad alta)
+    function _recoverSigner(
+        bytes32 digest,
+        bytes memory signature
+    ) internal pure returns (address) {
+        require(signature.length == 65, "Invalid signature");
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+        require(
+            uint256(s) <=
+                0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "Invalid signature"
+        );
+        require(v == 27 || v == 28, "Invalid signature");
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "Invalid signature");
+        return signer;
+    }
+
+    // Registra la confirmación de un participante en el hito actual
+    function _confirm(address participant) internal {
+        // Verificar si el participante ya confirmó el hito actual
+        require(
+            !milestoneConfirmations[currentMilestone][participant],
+            "Already confirmed"
+        );
+
+        // Registrar la confirmación del participante
+        milestoneConfirmations[currentMilestone][participant] = true;
+        confirmationsWeight += participantShares[participant];
+        for (uint256 i = 0; i < assets.length; i++) {
+            address token = assets[i].token;
+            confirmedDeposits[token] += deposits[participant][token];
+        }
+
+        emit Confirmed(participant);
+
+        // Verificar si se alcanzó el umbral de confirmación
+        if (_confirmationsPercent() >= confirmationsThreshold) {
+            _releaseCurrentMilestone();
+        }
+    }
+
+    // Porcentaje confirmado (base 10000), por shares o por lo depositado
+    function _confirmationsPercent() internal view returns (uint256) {
+        if (!weightByDeposits) {
+            return (confirmationsWeight * 10000) / totalParticipantShare;
+        }
+
+        // Media entre assets de la fracción depositada por quienes confirmaron
+        uint256 sum = 0;
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].depositedAmount > 0) {
+                sum +=
+                    (confirmedDeposits[assets[i].token] * 10000) /
+                    assets[i].depositedAmount;
+            }
+        }
+        return sum / assets.length;
+    }
+
+    // -------------------
+    // Disputas, reembolsos y panel
+    // -------------------
+    // Implementados en EscrowDisputeModule, ver disputeModule
+    function raiseDispute(string calldata) external {
+        _delegate(disputeModule);
+    }
+
+    function submitEvidence(bytes32, string calldata) external {
+        _delegate(disputeModule);
+    }
+
+    function resolveDisputeToRecipients() external {
+        _delegate(disputeModule);
+    }
+
+    function resolveDisputeRefundAll() external {
+        _delegate(disputeModule);
+    }
+
+    function resolveDisputeWithSplit(
+        uint256,
+        SplitAllocation[] calldata
+    ) external {
+        _delegate(disputeModule);
+    }
+
+    function appeal() external payable {
+        _delegate(disputeModule);
+    }
+
+    function executeRuling() external {
+        _delegate(disputeModule);
+    }
+
+    function forceRefund() external {
+        _delegate(disputeModule);
+    }
+
+    function markDelivered() external {
+        _delegate(disputeModule);
+    }
+
+    function finalizeDelivery() external {
+        _delegate(disputeModule);
+    }
+
+    function changeMediator(address, address) external {
+        _delegate(disputeModule);
+    }
+
+    // -------------------
+    // Posiciones, enmiendas, cancelación y pausa
+    // -------------------
+    // Implementados en EscrowPartiesModule, ver partiesModule
+    function onPositionTransfer(address, address, uint256) external {
+        _delegate(partiesModule);
+    }
+
+    function approveAmendment(Amendment calldata) external {
+        _delegate(partiesModule);
+    }
+
+    function approveCancellation() external {
+        _delegate(partiesModule);
+    }
+
+    function pause() external {
+        _delegate(partiesModule);
+    }
+
+    function unpause() external {
+        _delegate(partiesModule);
+    }
+
+    // Pausado por el guardián, solo este escrow o todos los del factory
+    function isPaused() external view returns (bool) {
+        return paused || EscrowFactory(factory).paused();
+    }
+
+    // Tiempo en pausa desde la creación, en que se han ampliado los plazos
+    function pausedTime() external view returns (uint256) {
+        return _pausedTime();
+    }
+
+    // -------------------
+    // Activos no fungibles
+    // -------------------
+    // Implementados en EscrowItemsModule, ver itemsModule
+    function onERC721Received(
+        address,
+        address,
+        uint256,
+        bytes calldata
+    ) external returns (bytes4) {
+        _delegate(itemsModule);
+    }
+
+    function onERC1155Received(
+        address,
+        address,
+        uint256,
+        uint256,
+        bytes calldata
+    ) external returns (bytes4) {
+        _delegate(itemsModule);
+    }
+
+    function onERC1155BatchReceived(
+        address,
+        address,
+        uint256[] calldata,
+        uint256[] calldata,
+        bytes calldata
+    ) external returns (bytes4) {
+        _delegate(itemsModule);
+    }
+
+    function withdrawItem(uint256) external {
+        _delegate(itemsModule);
+    }
+
+    // ERC-165: receptor de ERC-1155
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return
+            interfaceId == 0x01ffc9a7 ||
+            interfaceId == type(IERC1155Receiver).interfaceId;
+    }
+
+    // Ejecuta la llamada actual en el módulo y devuelve su resultado o su error
+    function _delegate(address module) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    // -------------------
+    // Withdraw (Pull Payment)
+    // -------------------
+    // Cada usuario retira sus fondos asignados tras RESOLVED o REFUNDED.
+    // Lo ya asignado antes (hitos liberados, excedentes de depósitos) se puede
+    // retirar en cualquier estado
+    function withdraw(address token) external nonReentrant {
+        uint256 amount = balancesToWithdraw(msg.sender, token);
+
+        // Verificar que el estado sea válido para permitir retiros
+        require(
+            state == State.RESOLVED || state == State.REFUNDED || amount > 0,
+            "Invalid state"
+        );
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawn[msg.sender][token] += amount;
+        trackedBalances[token] -= amount;
+
+        // Enviar Ether o tokens
+        if (token == address(0)) {
+            (bool success, ) = msg.sender.call{value: amount}("");
+            require(success, "ETH withdraw failed");
+            emit Withdrawn(msg.sender, amount, address(0));
+        } else {
+            _safeTransfer(token, msg.sender, amount);
+            emit Withdrawn(msg.sender, amount, token);
+        }
+    }
+
+    // Saldo pendiente de retirar: asignaciones individuales más la parte de los
+    // repartos en bloque (por share si es receptor, por lo aportado si es participante)
+    function balancesToWithdraw(
+        address account,
+        address token
+    ) public view returns (uint256) {
+        return
+            credits[account][token] +
+            _recipientEntitlement(account, token) +
+            _participantEntitlement(account, token) -
+            withdrawn[account][token];
+    }
+
+    // Parte de un participante en lo reembolsado, según lo que aportó. Como en los
+    // receptores, el mayor aportante recibe el redondeo
+    function _participantEntitlement(
+        address account,
+        address token
+    ) internal view returns (uint256) {
+        uint256 pool = participantsPool[token];
+        uint256 idx = assetIndexByToken[token];
+        if (pool == 0 || idx == 0) {
+            return 0;
+        }
+        uint256 deposited = assets[idx - 1].depositedAmount;
+        if (account != largestDepositor[token]) {
+            return (pool * deposits[account][token]) / deposited;
+        }
+
+        uint256 others = 0;
+        for (uint256 p = 0; p < participantsList.length; p++) {
+            address participantAddr = participantsList[p];
+            if (participantAddr != account) {
+                others += (pool * deposits[participantAddr][token]) / deposited;
+            }
+        }
+        return pool - others;
+    }
+
+    // Vesting de una cuenta en un token: lo desbloqueado hasta ahora (incluido lo ya
+    // retirado), lo que sigue bloqueado y lo que puede retirar ya
+    function vestingStatus(
+        address account,
+        address token
+    ) external view returns (uint256 vested, uint256 locked, uint256 claimable) {
+        claimable = balancesToWithdraw(account, token);
+        vested = claimable + withdrawn[account][token];
+        locked = _recipientPart(account, _unvestedPool(token));
+    }
+
+    // Recupera Ether o tokens enviados directamente al contrato sin pasar por los
+    // depósitos. Van siempre al propietario del factory, que los devuelve a quien los
+    // envió por error: ningún miembro del panel puede quedárselos
+    function sweep(address token) external onlyMediator nonReentrant {
+        address to = EscrowFactory(factory).owner();
+        uint256 balance = token == address(0)
+            ? address(this).balance
+            : IERC20(token).balanceOf(address(this));
+        uint256 untracked = balance - trackedBalances[token];
+        require(untracked > 0, "Nothing to sweep");
+
+        if (token == address(0)) {
+            (bool success, ) = to.call{value: untracked}("");
+            require(success, "ETH sweep failed");
+        } else {
+            _safeTransfer(token, to, untracked);
+        }
+        emit Swept(to, untracked, token);
+    }
+
+    // -------------------
+    // Transferencias de tokens
+    // -------------------
+    function _safeTransfer(address token, address to, uint256 amount) internal {
+        _callToken(
+            token,
+            abi.encodeWithSelector(IERC20.transfer.selector, to, amount)
+        );
+    }
+
+    function _safeTransferFrom(
+        address token,
+        address from,
+        address to,
+        uint256 amount
+    ) internal {
+        _callToken(
+            token,
+            abi.encodeWithSelector(
+                IERC20.transferFrom.selector,
+                from,
+                to,
+                amount
+            )
+        );
+    }
+
+    // Acepta tokens que no devuelven nada (p. ej. USDT) y rechaza los que devuelven false
+    function _callToken(address token, bytes memory data) internal {
+        require(token.code.length > 0, "Token is not a contract");
+        (bool success, bytes memory returndata) = token.call(data);
+        require(
+            success &&
+                (returndata.length == 0 || abi.decode(returndata, (bool))),
+            "Token transfer failed"
+        );
+    }
+
+    // Para recibir Ether; lo recibido aquí no se registra y solo es recuperable con sweep()
+    receive() external payable {}
+}
+
+// Disputas, reembolsos y cambios del panel de un Escrow. Se despliega una vez y cada
+// escrow lo ejecuta con delegatecall, así Escrow no supera el tamaño máximo de
+// contrato (EIP-170). No debe llamarse directamente
+contract EscrowDisputeModule is EscrowBase {
+    // -------------------
+    // Disputas
+    // -------------------
+    // Solo participantes y receptores pueden iniciar una disputa, indicando el motivo
+    function raiseDispute(
+        string calldata reason
+    ) external onlyParty inState(State.AWAITING_CONFIRMATION) whenNotPaused {
+        uint256 objectionDeadline = _objectionDeadline();
+        if (objectionDeadline == 0) {
+            require(
+                block.timestamp > _confirmationDeadline(),
+                "Confirmation period not ended"
+            );
+        } else {
+            // Con la entrega marcada, disputar es la objeción de los participantes
+            require(block.timestamp <= objectionDeadline, "Delivery accepted");
+            require(participantShares[msg.sender] > 0, "Not a participant");
+        }
+
+        disputeRaised = true;
+        disputeStartTime = block.timestamp;
+        disputePausedTime = _pausedTime();
+        _setState(State.DISPUTE);
+        emit DisputeRaised(msg.sender, reason);
+        emit Dispute(arbitrators[0], 0, 0, uint256(uint160(address(this))));
+        _notifyObserver(IEscrowObserver.onEscrowDisputed.selector);
+    }
+
+    // Aportar una prueba a la disputa: hash del contenido y URI donde consultarlo.
+    // Pueden hacerlo las partes y los miembros del panel mientras dura la disputa
+    function submitEvidence(
+        bytes32 contentHash,
+        string calldata evidenceURI
+    ) external inState(State.DISPUTE) {
+        require(
+            _isParty(msg.sender) || isArbitrator[msg.sender],
+            "Not a party or mediator"
+        );
+        require(contentHash != bytes32(0), "Invalid evidence");
+        emit Evidence(
+            arbitrators[0],
+            uint256(uint160(address(this))),
+            msg.sender,
+            evidenceURI
+        );
+        emit EvidenceHash(msg.sender, contentHash);
+    }
+
+    // Cada árbitro vota una resolución; se dicta cuando arbitrationQuorum árbitros
+    // coinciden. Con un solo mediador su voto la dicta directamente. Si se apela,
+    // appealArbitrator decide con estas mismas funciones
+
+    // A favor de los receptores
+    function resolveDisputeToRecipients()
+        external
+        onlyRuler
+        inState(State.DISPUTE)
+    {
+        _rule(RULING_RECIPIENTS, 0, new SplitAllocation[](0));
+    }
+
+    // Reembolsar a los participantes
+    function resolveDisputeRefundAll()
+        external
+        onlyRuler
+        inState(State.DISPUTE)
+    {
+        _rule(RULING_REFUND, 0, new SplitAllocation[](0));
+    }
+
+    // Repartir el remanente: primero las asignaciones explícitas y lo que queda
+    // según recipientsShare (base 10000) para receptores y el resto para
+    // participantes. Solo suman los votos con los mismos parámetros
+    function resolveDisputeWithSplit(
+        uint256 recipientsShare,
+        SplitAllocation[] memory allocations
+    ) external onlyRuler inState(State.DISPUTE) {
+        require(recipientsShare <= 10000, "Invalid split");
+        _rule(
+            keccak256(abi.encode(recipientsShare, allocations)),
+            recipientsShare,
+            allocations
+        );
+    }
+
+    // Miembros del panel o, si la resolución se apeló, el árbitro de apelación
+    modifier onlyRuler() {
+        if (appellant == address(0)) {
+            require(isArbitrator[msg.sender], "Not mediator");
+        } else {
+            require(msg.sender == appealArbitrator, "Not appeal arbitrator");
+        }
+        _;
+    }
+
+    // La decisión del árbitro de apelación es firme. La del panel se ejecuta al
+    // alcanzar el quórum, o queda provisional si hay plazo de apelación
+    function _rule(
+        bytes32 ruling,
+        uint256 recipientsShare,
+        SplitAllocation[] memory allocations
+    ) internal {
+        _requireNotPaused();
+        if (appellant != address(0)) {
+            _decideAppeal(ruling);
+        } else {
+            require(rulingTime == 0, "Ruling pending");
+            if (!_voteRuling(ruling)) {
+                return;
+            }
+            emit ResolvedByMediator(msg.sender);
+        }
+        if (ruling != RULING_RECIPIENTS && ruling != RULING_REFUND) {
+            emit SplitRuling(msg.sender, recipientsShare, allocations);
+        }
+
+        if (appellant == address(0) && appealPeriod > 0) {
+            _setProvisionalRuling(ruling, recipientsShare, allocations);
+        } else {
+            _executeRuling(ruling, recipientsShare, allocations);
+        }
+    }
+
+    // Registra el voto del árbitro, sustituyendo el anterior si lo había.
+    // Devuelve true si la resolución alcanza el quórum
+    function _voteRuling(bytes32 ruling) internal returns (bool) {
+        _checkDisputeDeadline();
+        bytes32 previous = arbitratorVote[msg.sender];
+        require(previous != ruling, "Already voted");
+        if (previous != bytes32(0)) {
+            rulingVotes[previous]--;
+        }
+        arbitratorVote[msg.sender] = ruling;
+        uint256 votes = ++rulingVotes[ruling];
+        emit RulingVoted(msg.sender, ruling, votes);
+
+        if (votes < arbitrationQuorum) {
+            return false;
+        }
+        resolvedByMediator = true;
+        return true;
+    }
+
+    // Guarda la resolución hasta que venza el plazo de apelación. Un reparto se
+    // valida ya, para que su ejecución posterior no pueda fallar
+    function _setProvisionalRuling(
+        bytes32 ruling,
+        uint256 recipientsShare,
+        SplitAllocation[] memory allocations
+    ) internal {
+        _splitRemaining(allocations);
+        provisionalRuling = ruling;
+        provisionalRecipientsShare = recipientsShare;
+        for (uint256 i = 0; i < allocations.length; i++) {
+            provisionalAllocations.push(allocations[i]);
+        }
+        rulingTime = block.timestamp;
+        rulingPausedTime = _pausedTime();
+        emit ProvisionalRuling(ruling, block.timestamp + appealPeriod);
+    }
+
+    function _executeRuling(
+        bytes32 ruling,
+        uint256 recipientsShare,
+        SplitAllocation[] memory allocations
+    ) internal {
+        if (ruling == RULING_RECIPIENTS) {
+            _allocateFundsToRecipients();
+        } else if (ruling == RULING_REFUND) {
+            _allocateRefundToParticipants();
+        } else {
+            _executeSplit(recipientsShare, allocations);
+        }
+    }
+
+    function _executeSplit(
+        uint256 recipientsShare,
+        SplitAllocation[] memory allocations
+    ) internal {
+        uint256[] memory remaining = _splitRemaining(allocations);
+        _setState(State.RESOLVED);
+
+        // Las comisiones se descuentan antes de repartir
+        for (uint256 a = 0; a < assets.length; a++) {
+            _deductFees(a, assets[a].depositedAmount - assets[a].releasedAmount);
+        }
+
+        for (uint256 i = 0; i < allocations.length; i++) {
+            SplitAllocation memory allocation = allocations[i];
+            credits[allocation.account][allocation.token] += allocation.amount;
+            emit FundsAllocated(
+                allocation.account,
+                allocation.amount,
+                allocation.token
+            );
+        }
+
+        // Reparto proporcional de lo que queda
+        for (uint256 a = 0; a < assets.length; a++) {
+            uint256 toRecipients = (remaining[a] * recipientsShare) / 10000;
+            assets[a].releasedAmount += toRecipients;
+            _distributeToRecipients(a, toRecipients);
+            _distributeToParticipants(a, remaining[a] - toRecipients);
+        }
+        _notifyObserver(IEscrowObserver.onEscrowResolved.selector);
+    }
+
+    // Lo que queda de cada asset tras las comisiones y las asignaciones explícitas,
+    // que solo pueden ir a participantes o receptores y nunca superar lo depositado
+    // sin liberar
+    function _splitRemaining(
+        SplitAllocation[] memory allocations
+    ) internal view returns (uint256[] memory remaining) {
+        remaining = new uint256[](assets.length);
+        for (uint256 a = 0; a < assets.length; a++) {
+            uint256 amount = assets[a].depositedAmount - assets[a].releasedAmount;
+            (uint256 protocolAmount, uint256 mediatorAmount) = _fees(amount);
+            remaining[a] = amount - protocolAmount - mediatorAmount;
+        }
+
+        for (uint256 i = 0; i < allocations.length; i++) {
+            address account = allocations[i].account;
+            require(
+                participantShares[account] > 0 || recipientShares[account] > 0,
+                "Split account not a party"
+            );
+            uint256 idx = assetIndexByToken[allocations[i].token];
+            require(idx != 0, "Token asset not required");
+            require(
+                allocations[i].amount <= remaining[idx - 1],
+                "Split exceeds deposited funds"
+            );
+            remaining[idx - 1] -= allocations[i].amount;
+        }
+    }
+
+    function _checkDisputeDeadline() internal view {
+        require(
+            block.timestamp <=
+                _deadline(disputeStartTime, disputePeriod, disputePausedTime),
+            "Dispute period expired"
+        );
+    }
+
+    // -------------------
+    // Apelaciones
+    // -------------------
+    // Apelar la resolución provisional depositando appealBond en Ether. Solo apela
+    // quien pierde: participantes si se resolvió a favor de los receptores,
+    // receptores si se reembolsó y cualquiera de ellos ante un reparto
+    function appeal() external payable inState(State.DISPUTE) whenNotPaused {
+        require(rulingTime != 0 && appellant == address(0), "Nothing to appeal");
+        require(
+            block.timestamp <=
+                _deadline(rulingTime, appealPeriod, rulingPausedTime),
+            "Appeal period expired"
+        );
+        bool participant = participantShares[msg.sender] > 0;
+        bool recipient = recipientShares[msg.sender] > 0;
+        if (provisionalRuling == RULING_RECIPIENTS) {
+            require(participant, "Not a losing party");
+        } else if (provisionalRuling == RULING_REFUND) {
+            require(recipient, "Not a losing party");
+        } else {
+            require(participant || recipient, "Not a losing party");
+        }
+        require(msg.value == appealBond, "Invalid appeal bond");
+
+        appellant = msg.sender;
+        appealTime = block.timestamp;
+        appealPausedTime = _pausedTime();
+        trackedBalances[address(0)] += msg.value;
+        emit AppealRaised(msg.sender, msg.value);
+    }
+
+    // Ejecuta la resolución provisional cuando vence el plazo sin apelaciones, o
+    // cuando el árbitro de apelación no decide en disputePeriod; en ese caso la
+    // fianza vuelve al apelante
+    function executeRuling() external inState(State.DISPUTE) whenNotPaused {
+        require(rulingTime != 0, "No provisional ruling");
+        if (appellant == address(0)) {
+            require(
+                block.timestamp >
+                    _deadline(rulingTime, appealPeriod, rulingPausedTime),
+                "Appeal period not ended"
+            );
+        } else {
+            require(
+                block.timestamp >
+                    _deadline(appealTime, disputePeriod, appealPausedTime),
+                "Appeal pending"
+            );
+            _settleBond(false);
+        }
+
+        _executeRuling(
+            provisionalRuling,
+            provisionalRecipientsShare,
+            provisionalAllocations
+        );
+    }
+
+    // La apelación se desestima si el árbitro dicta la misma resolución
+    function _decideAppeal(bytes32 ruling) internal {
+        require(
+            block.timestamp <=
+                _deadline(appealTime, disputePeriod, appealPausedTime),
+            "Appeal period expired"
+        );
+        bool upheld = ruling == provisionalRuling;
+        _settleBond(upheld);
+        emit AppealDecided(msg.sender, ruling, upheld);
+    }
+
+    // Si se confirma la resolución la fianza va a la parte contraria del apelante,
+    // según sus shares (el último absorbe el redondeo); si no, vuelve al apelante
+    function _settleBond(bool forfeited) internal {
+        if (!forfeited) {
+            credits[appellant][address(0)] += appealBond;
+            emit FundsAllocated(appellant, appealBond, address(0));
+            return;
+        }
+
+        bool toRecipients = participantShares[appellant] > 0;
+        address[] storage winners = toRecipients
+            ? recipientsList
+            : participantsList;
+        uint256 total = toRecipients ? 10000 : totalParticipantShare;
+        uint256 assigned = 0;
+        for (uint256 i = 0; i < winners.length; i++) {
+            address winner = winners[i];
+            uint256 share = toRecipients
+                ? recipientShares[winner]
+                : participantShares[winner];
+            uint256 amount = i == winners.length - 1
+                ? appealBond - assigned
+                : (appealBond * share) / total;
+            assigned += amount;
+            credits[winner][address(0)] += amount;
+            emit FundsAllocated(winner, amount, address(0));
+        }
+    }
+
+    // -------------------
+    // Refund (Reembolso)
+    // -------------------
+    function forceRefund() external {
+        if (state == State.INIT) {
+            require(
+                block.timestamp > _deadline(creationTime, fundingPeriod, 0),
+                "Funding period not ended"
+            );
+        } else if (state == State.AWAITING_CONFIRMATION) {
+            require(
+                block.timestamp > _confirmationDeadline(),
+                "Confirmation period not ended"
+            );
+            // En modo optimista una entrega marcada solo se reembolsa por disputa
+            require(_objectionDeadline() == 0, "Delivery marked");
+        } else if (state == State.DISPUTE) {
+            require(
+                block.timestamp >
+                    _deadline(disputeStartTime, disputePeriod, disputePausedTime),
+                "Dispute period not ended"
+            );
+            require(rulingTime == 0, "Ruling pending");
+        } else {
+            revert("No refund allowed in current state");
+        }
+
+        _allocateRefundToParticipants();
+    }
+
+    // -------------------
+    // Modo optimista
+    // -------------------
+    // Un receptor marca la entrega del hito actual dentro de su plazo de confirmación.
+    // Desde ese momento los participantes tienen un plazo de confirmación completo
+    // para objetarla con raiseDispute()
+    function markDelivered()
+        external
+        inState(State.AWAITING_CONFIRMATION)
+        whenNotPaused
+    {
+        require(optimistic, "Not optimistic");
+        require(recipientShares[msg.sender] > 0, "Not a recipient");
+        require(deliveryTime[currentMilestone] == 0, "Already delivered");
+        require(
+            block.timestamp <= _confirmationDeadline(),
+            "Confirmation period ended"
+        );
+
+        deliveryTime[currentMilestone] = block.timestamp;
+        deliveryPausedTime = _pausedTime();
+        emit DeliveryMarked(msg.sender, currentMilestone);
+    }
+
+    // Sin objeción en plazo, cualquiera puede liberar el hito entregado; el último
+    // resuelve el escrow a favor de los receptores
+    function finalizeDelivery()
+        external
+        inState(State.AWAITING_CONFIRMATION)
+        whenNotPaused
+    {
+        uint256 objectionDeadline = _objectionDeadline();
+        require(objectionDeadline != 0, "Delivery not marked");
+        require(
+            block.timestamp > objectionDeadline,
+            "Objection period not ended"
+        );
+        _releaseCurrentMilestone();
+    }
+
+    // Fin del plazo para objetar la entrega del hito actual; 0 si no hay entrega marcada
+    function _objectionDeadline() internal view returns (uint256) {
+        uint256 delivered = deliveryTime[currentMilestone];
+        if (!optimistic || delivered == 0) {
+            return 0;
+        }
+        return
+            _deadline(
+                delivered,
+                _currentConfirmationPeriod(),
+                deliveryPausedTime
+            );
+    }
+
+    // Sustituir un miembro del panel. Cada árbitro o participante aprueba el cambio
+    // y se aplica al alcanzar el quórum del panel o con todos los participantes
+    function changeMediator(address oldMember, address newMember) external {
+        bool arbitrator = isArbitrator[msg.sender];
+        uint256 weight = participantShares[msg.sender];
+        require(arbitrator || weight > 0, "Not mediator or participant");
+        require(isArbitrator[oldMember], "Not an arbitrator");
+        require(
+            newMember != address(0),
+            "New mediator cannot be zero address"
+        );
+        require(!isArbitrator[newMember], "Already an arbitrator");
+
+        bytes32 change = keccak256(abi.encode(oldMember, newMember, panelNonce));
+        require(!memberChangeApprovals[change][msg.sender], "Already approved");
+        memberChangeApprovals[change][msg.sender] = true;
+        if (arbitrator) {
+            memberChangeArbitratorVotes[change]++;
+        }
+        memberChangeParticipantWeight[change] += weight;
+        emit MemberChangeApproved(msg.sender, oldMember, newMember);
+
+        if (
+            memberChangeArbitratorVotes[change] >= arbitrationQuorum ||
+            memberChangeParticipantWeight[change] == totalParticipantShare
+        ) {
+            _replaceArbitrator(oldMember, newMember);
+        }
+    }
+
+    // Sustituye al miembro en su posición; su voto pendiente deja de contar
+    function _replaceArbitrator(address oldMember, address newMember) internal {
+        for (uint256 i = 0; i < arbitrators.length; i++) {
+            if (arbitrators[i] == oldMember) {
+                arbitrators[i] = newMember;
+                break;
+            }
+        }
+        isArbitrator[oldMember] = false;
+        isArbitrator[newMember] = true;
+
+        bytes32 vote = arbitratorVote[oldMember];
+        if (vote != bytes32(0)) {
+            rulingVotes[vote]--;
+            delete arbitratorVote[oldMember];
+        }
+        panelNonce++;
+
+        EscrowFactory(factory).onEscrowRoleChanged(
+            Role.MEDIATOR,
+            oldMember,
+            newMember
+        );
+        emit MediatorChanged(oldMember, newMember);
+    }
+}
+
+// Validación de los parámetros de un escrow, compartida por EscrowSetupModule al
+// inicializarlo y por EscrowFactory.validateEscrowParams. Devuelve el primer problema
+// codificado como error de IEscrowErrors, o vacío si no hay ninguno
+library EscrowValidation {
+    function validate(
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory assets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        EscrowBase.EscrowOptions memory options,
+        EscrowBase.PlatformConfig memory platform
+    ) internal pure returns (bytes memory problem) {
+        if (mediator == address(0)) {
+            return abi.encodeWithSelector(IEscrowErrors.ZeroMediator.selector);
+        }
+        if (confirmationsThreshold > 10000) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.InvalidThreshold.selector,
+                    confirmationsThreshold
+                );
+        }
+        problem = _validateParties(participants, recipients);
+        if (problem.length == 0) {
+            problem = _validateAssets(assets, milestones);
+        }
+        if (problem.length == 0) {
+            problem = _validatePanel(mediator, options);
+        }
+        if (problem.length == 0) {
+            problem = _validateOptions(participants, assets, options, platform);
+        }
+    }
+
+    // Al menos un participante, sin direcciones repetidas ni shares a 0
+    function _validateParties(
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients
+    ) private pure returns (bytes memory) {
+        if (participants.length == 0) {
+            return abi.encodeWithSelector(IEscrowErrors.EmptyParticipants.selector);
+        }
+        for (uint256 i = 0; i < participants.length; i++) {
+            address participant = participants[i].addr;
+            if (participants[i].share == 0) {
+                return
+                    abi.encodeWithSelector(IEscrowErrors.ZeroShare.selector, participant);
+            }
+            for (uint256 j = 0; j < i; j++) {
+                if (participants[j].addr == participant) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.DuplicateParticipant.selector,
+                            participant
+                        );
+                }
+            }
+        }
+
+        uint256 sumRecipients = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address recipient = recipients[i].addr;
+            if (recipients[i].share == 0) {
+                return
+                    abi.encodeWithSelector(IEscrowErrors.ZeroShare.selector, recipient);
+            }
+            for (uint256 j = 0; j < i; j++) {
+                if (recipients[j].addr == recipient) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.DuplicateRecipient.selector,
+                            recipient
+                        );
+                }
+            }
+            sumRecipients += recipients[i].share;
+        }
+        if (sumRecipients != 10000) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.InvalidRecipientsSum.selector,
+                    sumRecipients
+                );
+        }
+        return "";
+    }
+
+    // Cada token una sola vez y con cantidad requerida; los hitos suman 10000
+    function _validateAssets(
+        EscrowBase.AssetInput[] memory assets,
+        EscrowBase.MilestoneInput[] memory milestones
+    ) private pure returns (bytes memory) {
+        for (uint256 i = 0; i < assets.length; i++) {
+            address token = assets[i].token;
+            if (assets[i].requiredAmount == 0) {
+                return
+                    abi.encodeWithSelector(
+                        IEscrowErrors.ZeroRequiredAmount.selector,
+                        token
+                    );
+            }
+            for (uint256 j = 0; j < i; j++) {
+                if (assets[j].token == token) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.DuplicateToken.selector,
+                            token
+                        );
+                }
+            }
+        }
+
+        if (milestones.length > 0) {
+            uint256 sumMilestones = 0;
+            for (uint256 i = 0; i < milestones.length; i++) {
+                sumMilestones += milestones[i].share;
+            }
+            if (sumMilestones != 10000) {
+                return
+                    abi.encodeWithSelector(
+                        IEscrowErrors.InvalidMilestonesSum.selector,
+                        sumMilestones
+                    );
+            }
+        }
+        return "";
+    }
+
+    // Árbitros distintos del mediador y entre sí, quórum alcanzable y apelación
+    function _validatePanel(
+        address mediator,
+        EscrowBase.EscrowOptions memory options
+    ) private pure returns (bytes memory) {
+        address[] memory arbitrators = options.arbitrators;
+        for (uint256 i = 0; i < arbitrators.length; i++) {
+            address arbitrator = arbitrators[i];
+            bool invalid = arbitrator == address(0) || arbitrator == mediator;
+            for (uint256 j = 0; j < i && !invalid; j++) {
+                invalid = arbitrators[j] == arbitrator;
+            }
+            if (invalid) {
+                return
+                    abi.encodeWithSelector(
+                        IEscrowErrors.InvalidArbitrator.selector,
+                        arbitrator
+                    );
+            }
+        }
+
+        uint256 panelSize = arbitrators.length + 1;
+        if (options.arbitrationQuorum > panelSize) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.InvalidQuorum.selector,
+                    options.arbitrationQuorum
+                );
+        }
+        if (options.appealPeriod > 0 && options.appealArbitrator == address(0)) {
+            return
+                abi.encodeWithSelector(IEscrowErrors.ZeroAppealArbitrator.selector);
+        }
+        return "";
+    }
+
+    // Cuotas, comisiones, vesting, activos no fungibles y firmantes de la cancelación
+    function _validateOptions(
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.AssetInput[] memory assets,
+        EscrowBase.EscrowOptions memory options,
+        EscrowBase.PlatformConfig memory platform
+    ) private pure returns (bytes memory) {
+        if (options.quotas.length > 0) {
+            // Cuotas explícitas: deben cubrir exactamente cada asset requerido
+            uint256[] memory sums = new uint256[](assets.length);
+            for (uint256 i = 0; i < options.quotas.length; i++) {
+                EscrowBase.QuotaInput memory quota = options.quotas[i];
+                if (!_isParticipant(participants, quota.participant)) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.QuotaForNonParticipant.selector,
+                            quota.participant
+                        );
+                }
+                uint256 idx = _assetIndex(assets, quota.token);
+                if (idx == 0) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.QuotaForUnknownAsset.selector,
+                            quota.token
+                        );
+                }
+                sums[idx - 1] += quota.amount;
+            }
+            for (uint256 a = 0; a < assets.length; a++) {
+                if (sums[a] != assets[a].requiredAmount) {
+                    return
+                        abi.encodeWithSelector(
+                            IEscrowErrors.InvalidQuotaSum.selector,
+                            assets[a].token,
+                            sums[a]
+                        );
+                }
+            }
+        }
+
+        // Sin assets fungibles no hay depósitos con los que ponderar las confirmaciones
+        if (options.weightByDeposits && assets.length == 0) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.WeightByDepositsWithoutAssets.selector
+                );
+        }
+
+        if (options.mediatorFee + platform.protocolFee > 10000) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.FeesExceedLimit.selector,
+                    options.mediatorFee,
+                    platform.protocolFee
+                );
+        }
+        if (platform.protocolFee > 0 && platform.protocolFeeRecipient == address(0)) {
+            return abi.encodeWithSelector(IEscrowErrors.ZeroFeeRecipient.selector);
+        }
+        if (options.vestingCliff > options.vestingDuration) {
+            return
+                abi.encodeWithSelector(
+                    IEscrowErrors.InvalidVesting.selector,
+                    options.vestingCliff,
+                    options.vestingDuration
+                );
+        }
+
+        for (uint256 i = 0; i < options.items.length; i++) {
+            EscrowBase.ItemInput memory item = options.items[i];
+            if (
+                item.token == address(0) ||
+                item.recipient == address(0) ||
+                item.amount == 0 ||
+                (item.standard == EscrowBase.ItemStandard.ERC721 && item.amount != 1)
+            ) {
+                return abi.encodeWithSelector(IEscrowErrors.InvalidItem.selector, i);
+            }
+        }
+
+        for (uint256 i = 0; i < options.cancellationSigners.length; i++) {
+            if (options.cancellationSigners[i] == address(0)) {
+                return
+                    abi.encodeWithSelector(
+                        IEscrowErrors.ZeroCancellationSigner.selector
+                    );
+            }
+        }
+        return "";
+    }
+
+    function _isParticipant(
+        EscrowBase.ParticipantInput[] memory participants,
+        address account
+    ) private pure returns (bool) {
+        for (uint256 i = 0; i < participants.length; i++) {
+            if (participants[i].addr == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Índice del asset más 1, 0 si el token no es un asset requerido
+    function _assetIndex(
+        EscrowBase.AssetInput[] memory assets,
+        address token
+    ) private pure returns (uint256) {
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (assets[i].token == token) {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+}
+
+// Inicialización de un Escrow: partes, assets, hitos, panel, cuotas y comisiones.
+// Como EscrowDisputeModule, cada escrow lo ejecuta con delegatecall; la implementación
+// queda inicializada al desplegarse, así solo sus clones pueden inicializarse
+contract EscrowSetupModule is EscrowBase {
+    // Inicializador: configura el escrow con participantes, receptores, assets y tiempos.
+    // Sustituye al constructor para poder desplegar el escrow como clon EIP-1167
+    function initialize(
+        address _mediator,
+        ParticipantInput[] memory _participants,
+        RecipientInput[] memory _recipients,
+        AssetInput[] memory _assets,
+        MilestoneInput[] memory _milestones,
+        uint256 _confirmationsThreshold,
+        uint256 _fundingPeriod,
+        uint256 _confirmationPeriod,
+        uint256 _disputePeriod,
+        EscrowOptions memory _options,
+        PlatformConfig memory _platform
+    ) external {
+        require(!initialized, "Already initialized");
+        initialized = true;
+
+        bytes memory problem = EscrowValidation.validate(
+            _mediator,
+            _participants,
+            _recipients,
+            _assets,
+            _milestones,
+            _confirmationsThreshold,
+            _options,
+            _platform
+        );
+        if (problem.length > 0) {
+            // Revierte con el error tal como lo devuelve la validación
+            assembly {
+                revert(add(problem, 32), mload(problem))
+            }
+        }
+
+        factory = msg.sender;
+        factoryPausedTimeAtCreation = EscrowFactory(factory).pausedTime();
+        _registerPanel(_mediator, _options);
+        confirmationsThreshold = _confirmationsThreshold;
+        fundingPeriod = _fundingPeriod;
+        confirmationPeriod = _confirmationPeriod;
+        disputePeriod = _disputePeriod;
+        creationTime = block.timestamp;
+
+        // Registrar participantes y sumar sus shares
+        uint256 sumShares = 0;
+        for (uint256 i = 0; i < _participants.length; i++) {
+            participantsList.push(_participants[i].addr);
+            participantShares[_participants[i].addr] = _participants[i].share;
+            sumShares += _participants[i].share;
+        }
+        totalParticipantShare = sumShares;
+
+        // Registrar receptores
+        for (uint256 i = 0; i < _recipients.length; i++) {
+            recipientsList.push(_recipients[i].addr);
+            recipientShares[_recipients[i].addr] = _recipients[i].share;
+            if (_recipients[i].share > recipientShares[largestRecipient]) {
+                largestRecipient = _recipients[i].addr;
+            }
+        }
+
+        // Registrar assets requeridos
+        for (uint256 i = 0; i < _assets.length; i++) {
+            assets.push(
+                Asset({
+                    token: _assets[i].token,
+                    requiredAmount: _assets[i].requiredAmount,
+                    depositedAmount: 0,
+                    releasedAmount: 0
+                })
+            );
+            assetIndexByToken[_assets[i].token] = i + 1;
+        }
+
+        _registerItems(_options);
+
+        // Registrar hitos; si no hay, un único hito libera el 100%
+        if (_milestones.length == 0) {
+            milestones.push(Milestone({share: 10000, confirmationPeriod: 0}));
+        } else {
+            for (uint256 i = 0; i < _milestones.length; i++) {
+                milestones.push(
+                    Milestone({
+                        share: _milestones[i].share,
+                        confirmationPeriod: _milestones[i].confirmationPeriod
+                    })
+                );
+            }
+        }
+
+        weightByDeposits = _options.weightByDeposits;
+        _registerQuotas(_options);
+
+        vestingDuration = _options.vestingDuration;
+        vestingCliff = _options.vestingCliff;
+        amendmentsRequireMediator = _options.amendmentsRequireMediator;
+        optimistic = _options.optimistic;
+        cancellationSigners = _options.cancellationSigners;
+        observer = _options.observer;
+
+        // Comisiones del mediador y de la plataforma
+        mediatorFee = _options.mediatorFee;
+        chargeMediatorFeeAlways = _options.chargeMediatorFeeAlways;
+        protocolFee = _platform.protocolFee;
+        protocolFeeRecipient = _platform.protocolFeeRecipient;
+        positions = _platform.positions;
+
+        if (bytes(_options.metaEvidence).length > 0) {
+            emit MetaEvidence(0, _options.metaEvidence);
+        }
+
+        state = State.INIT;
+    }
+
+    // Registra el panel (el mediador seguido de los árbitros adicionales) y la apelación
+    function _registerPanel(
+        address _mediator,
+        EscrowOptions memory _options
+    ) internal {
+        arbitrators.push(_mediator);
+        isArbitrator[_mediator] = true;
+        for (uint256 i = 0; i < _options.arbitrators.length; i++) {
+            address arbitrator = _options.arbitrators[i];
+            arbitrators.push(arbitrator);
+            isArbitrator[arbitrator] = true;
+        }
+
+        uint256 quorum = _options.arbitrationQuorum;
+        if (quorum == 0) {
+            quorum = arbitrators.length / 2 + 1;
+        }
+        arbitrationQuorum = quorum;
+
+        appealArbitrator = _options.appealArbitrator;
+        appealPeriod = _options.appealPeriod;
+        appealBond = _options.appealBond;
+    }
+
+    // Registra el aporte esperado de cada participante por asset
+    function _registerQuotas(EscrowOptions memory _options) internal {
+        if (_options.quotas.length > 0) {
+            // Cuotas explícitas, ya validadas contra los assets requeridos
+            enforceQuotas = true;
+            for (uint256 i = 0; i < _options.quotas.length; i++) {
+                QuotaInput memory quota = _options.quotas[i];
+                expectedContributions[quota.participant][quota.token] += quota
+                    .amount;
+            }
+        } else if (_options.enforceQuotas) {
+            // Cuotas derivadas de los shares; el último participante absorbe el redondeo
+            enforceQuotas = true;
+            for (uint256 a = 0; a < assets.length; a++) {
+                uint256 assigned = 0;
+                for (uint256 p = 0; p < participantsList.length; p++) {
+                    address participantAddr = participantsList[p];
+                    uint256 amount = p == participantsList.length - 1
+                        ? assets[a].requiredAmount - assigned
+                        : (assets[a].requiredAmount *
+                            participantShares[participantAddr]) /
+                            totalParticipantShare;
+                    expectedContributions[participantAddr][
+                        assets[a].token
+                    ] = amount;
+                    assigned += amount;
+                }
+            }
+        }
+    }
+
+    // Registra los activos no fungibles requeridos
+    function _registerItems(EscrowOptions memory _options) internal {
+        for (uint256 i = 0; i < _options.items.length; i++) {
+            ItemInput memory item = _options.items[i];
+            items.push(
+                Item({
+                    standard: item.standard,
+                    token: item.token,
+                    id: item.id,
+                    amount: item.amount,
+                    recipient: item.recipient,
+                    depositor: address(0),
+                    withdrawn: false
+                })
+            );
+        }
+    }
+}
+
+// Cambios en las partes de un Escrow: posiciones de receptor, enmiendas y cancelación
+// de mutuo acuerdo. Como EscrowDisputeModule, cada escrow lo ejecuta con delegatecall
+contract EscrowPartiesModule is EscrowBase {
+    // -------------------
+    // Posiciones de receptor
+    // -------------------
+    // Llamado por la colección de posiciones al transferir un token: su share pasa
+    // del titular anterior al nuevo
+    function onPositionTransfer(
+        address from,
+        address to,
+        uint256 share
+    ) external {
+        require(msg.sender == positions, "Not positions");
+        _moveRecipientShare(from, to, share);
+    }
+
+    // Una transferencia a uno mismo no mueve nada; si no, el share acreditado a `to`
+    // pisaría el descontado a `from`
+    function _moveRecipientShare(
+        address from,
+        address to,
+        uint256 share
+    ) internal {
+        if (from == to) {
+            return;
+        }
+        address[] memory accounts = new address[](2);
+        uint256[] memory shares = new uint256[](2);
+        accounts[0] = from;
+        accounts[1] = to;
+        shares[0] = recipientShares[from] - share;
+        shares[1] = recipientShares[to] + share;
+        _setRecipientShares(accounts, shares);
+    }
+
+    // Cambia el share de receptor de varias cuentas (sin repetir) sin alterar lo que
+    // ya corresponde a cada una: quien pierde share conserva lo ya asignado como
+    // crédito y quien lo gana solo cobra de lo que se asigne o desbloquee después.
+    // Mantiene recipientsList y el índice del factory
+    function _setRecipientShares(
+        address[] memory accounts,
+        uint256[] memory shares
+    ) internal {
+        // Afectados: las cuentas y quien absorbe el redondeo
+        address largest = largestRecipient;
+        bool includesLargest = false;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (accounts[i] == largest) {
+                includesLargest = true;
+            }
+        }
+        uint256 n = includesLargest ? accounts.length : accounts.length + 1;
+        address[] memory affected = new address[](n);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            affected[i] = accounts[i];
+        }
+        if (!includesLargest) {
+            affected[n - 1] = largest;
+        }
+
+        uint256[] memory entitled = new uint256[](assets.length * n);
+        for (uint256 a = 0; a < assets.length; a++) {
+            for (uint256 i = 0; i < n; i++) {
+                entitled[a * n + i] = _recipientEntitlement(
+                    affected[i],
+                    assets[a].token
+                );
+            }
+        }
+
+        for (uint256 i = 0; i < accounts.length; i++) {
+            address account = accounts[i];
+            uint256 previousShare = recipientShares[account];
+            if (previousShare == 0 && shares[i] > 0) {
+                recipientsList.push(account);
+                EscrowFactory(factory).onEscrowRoleChanged(
+                    Role.RECIPIENT,
+                    address(0),
+                    account
+                );
+            } else if (previousShare > 0 && shares[i] == 0) {
+                _removeRecipient(account);
+                EscrowFactory(factory).onEscrowRoleChanged(
+                    Role.RECIPIENT,
+                    account,
+                    address(0)
+                );
+            }
+            recipientShares[account] = shares[i];
+        }
+        if (recipientShares[largest] == 0) {
+            for (uint256 i = 0; i < accounts.length; i++) {
+                if (shares[i] > 0) {
+                    largestRecipient = accounts[i];
+                    break;
+                }
+            }
+        }
+
+        for (uint256 a = 0; a < assets.length; a++) {
+            address token = assets[a].token;
+            for (uint256 i = 0; i < n; i++) {
+                address account = affected[i];
+                uint256 previous = entitled[a * n + i];
+                uint256 allocation = _recipientAllocation(account, token);
+                if (allocation >= previous) {
+                    recipientDebt[account][token] = allocation - previous;
+                } else {
+                    recipientDebt[account][token] = 0;
+                    credits[account][token] += previous - allocation;
+                }
+            }
+        }
+    }
+
+    // Quita un receptor sin share de la lista moviendo el último a su hueco
+    function _removeRecipient(address account) internal {
+        for (uint256 r = 0; r < recipientsList.length; r++) {
+            if (recipientsList[r] == account) {
+                recipientsList[r] = recipientsList[recipientsList.length - 1];
+                recipientsList.pop();
+                return;
+            }
+        }
+    }
+
+    // -------------------
+    // Enmiendas
+    // -------------------
+    // Cada parte aprueba la enmienda enviando sus cambios; la primera aprobación la
+    // propone. Se aplica al aprobarla participantes con confirmationsThreshold de
+    // su peso, los receptores a los que sustituye o reduce el share y, si
+    // amendmentsRequireMediator, el mediador. Un participante sustituido también debe
+    // aprobar; si perdió la clave basta con el quórum del panel, y el umbral se
+    // calcula sobre el peso del resto de participantes
+    function approveAmendment(Amendment calldata amendment) external {
+        require(
+            state == State.INIT || state == State.AWAITING_CONFIRMATION,
+            "Invalid state"
+        );
+        require(block.timestamp <= amendment.deadline, "Amendment expired");
+        require(
+            _isParty(msg.sender) || isArbitrator[msg.sender],
+            "Not a party or mediator"
+        );
+
+        bytes32 key = keccak256(abi.encode(amendment, amendmentNonce));
+        require(!amendmentApprovals[key][msg.sender], "Already approved");
+        amendmentApprovals[key][msg.sender] = true;
+        amendmentParticipantWeight[key] += participantShares[msg.sender];
+        emit AmendmentApproved(key, msg.sender);
+
+        if (_amendmentApproved(key, amendment)) {
+            amendmentNonce++;
+            _applyAmendment(amendment);
+            emit AmendmentApplied(key);
+        }
+    }
+
+    function _amendmentApproved(
+        bytes32 key,
+        Amendment calldata amendment
+    ) internal view returns (bool) {
+        uint256 totalWeight = totalParticipantShare;
+        bool requiresPanel = false;
+        for (uint256 i = 0; i < amendment.replacements.length; i++) {
+            address oldAccount = amendment.replacements[i].oldAccount;
+            if (amendmentApprovals[key][oldAccount]) {
+                continue;
+            }
+            if (recipientShares[oldAccount] > 0) {
+                return false;
+            }
+            // Participante que no puede aprobar: decide el panel con los demás
+            if (participantShares[oldAccount] > 0) {
+                requiresPanel = true;
+                totalWeight -= participantShares[oldAccount];
+            }
+        }
+        if (
+            amendmentParticipantWeight[key] * 10000 <
+            confirmationsThreshold * totalWeight
+        ) {
+            return false;
+        }
+        if (
+            amendmentsRequireMediator && !amendmentApprovals[key][arbitrators[0]]
+        ) {
+            return false;
+        }
+        // Se cuentan los miembros actuales, así no vale el voto de uno ya sustituido
+        if (requiresPanel) {
+            uint256 votes = 0;
+            for (uint256 i = 0; i < arbitrators.length; i++) {
+                if (amendmentApprovals[key][arbitrators[i]]) {
+                    votes++;
+                }
+            }
+            if (votes < arbitrationQuorum) {
+                return false;
+            }
+        }
+        for (uint256 i = 0; i < amendment.recipientShares.length; i++) {
+            RecipientInput calldata change = amendment.recipientShares[i];
+            if (
+                change.share < recipientShares[change.addr] &&
+                !amendmentApprovals[key][change.addr]
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Aplica primero las sustituciones, así los nuevos shares se refieren ya a las
+    // direcciones nuevas
+    function _applyAmendment(Amendment calldata amendment) internal {
+        for (uint256 i = 0; i < amendment.replacements.length; i++) {
+            _replaceAccount(
+                amendment.replacements[i].oldAccount,
+                amendment.replacements[i].newAccount
+            );
+        }
+        if (amendment.recipientShares.length > 0) {
+            _adjustRecipientShares(amendment.recipientShares);
+        }
+
+        if (
+            amendment.fundingPeriodExtension > 0 ||
+            amendment.confirmationPeriodExtension > 0
+        ) {
+            fundingPeriod += amendment.fundingPeriodExtension;
+            // Amplía el plazo vigente: el del hito actual si tiene uno propio
+            Milestone storage milestone = milestones[currentMilestone];
+            if (milestone.confirmationPeriod != 0) {
+                milestone.confirmationPeriod += amendment
+                    .confirmationPeriodExtension;
+            } else {
+                confirmationPeriod += amendment.confirmationPeriodExtension;
+            }
+            emit PeriodsExtended(fundingPeriod, _currentConfirmationPeriod());
+        }
+    }
+
+    // Sustituye la dirección de un participante y/o receptor por otra que no sea parte
+    // ni pueda decidir sobre el escrow como miembro del panel o de la apelación
+    function _replaceAccount(address oldAccount, address newAccount) internal {
+        require(_isParty(oldAccount), "Not a party");
+        require(
+            newAccount != address(0) && !_isParty(newAccount),
+            "Invalid new account"
+        );
+        require(
+            !isArbitrator[newAccount] && newAccount != appealArbitrator,
+            "New account is an arbitrator"
+        );
+
+        if (participantShares[oldAccount] > 0) {
+            _replaceParticipant(oldAccount, newAccount);
+        }
+        if (recipientShares[oldAccount] > 0) {
+            require(positions == address(0), "Recipients are positions");
+            _moveRecipientShare(
+                oldAccount,
+                newAccount,
+                recipientShares[oldAccount]
+            );
+        }
+        // Los activos no fungibles pasan también a la nueva dirección, tanto los que
+        // recibe como los que depositó
+        for (uint256 i = 0; i < items.length; i++) {
+            if (items[i].recipient == oldAccount) {
+                items[i].recipient = newAccount;
+            }
+            if (items[i].depositor == oldAccount) {
+                items[i].depositor = newAccount;
+            }
+        }
+        emit AccountReplaced(oldAccount, newAccount);
+    }
+
+    // Mueve al nuevo participante su share, depósitos, cuotas y confirmación del hito
+    // actual. Los créditos ya asignados siguen en la dirección anterior
+    function _replaceParticipant(
+        address oldAccount,
+        address newAccount
+    ) internal {
+        for (uint256 p = 0; p < participantsList.length; p++) {
+            if (participantsList[p] == oldAccount) {
+                participantsList[p] = newAccount;
+                break;
+            }
+        }
+        participantShares[newAccount] = participantShares[oldAccount];
+        delete participantShares[oldAccount];
+
+        for (uint256 a = 0; a < assets.length; a++) {
+            address token = assets[a].token;
+            deposits[newAccount][token] = deposits[oldAccount][token];
+            delete deposits[oldAccount][token];
+            expectedContributions[newAccount][token] = expectedContributions[
+                oldAccount
+            ][token];
+            delete expectedContributions[oldAccount][token];
+            if (largestDepositor[token] == oldAccount) {
+                largestDepositor[token] = newAccount;
+            }
+        }
+
+        mapping(address => bool) storage confirmations = milestoneConfirmations[
+            currentMilestone
+        ];
+        confirmations[newAccount] = confirmations[oldAccount];
+        delete confirmations[oldAccount];
+
+        EscrowFactory(factory).onEscrowRoleChanged(
+            Role.PARTICIPANT,
+            oldAccount,
+            newAccount
+        );
+    }
+
+    // Nuevos shares de receptores existentes; el total debe seguir siendo 10000
+    function _adjustRecipientShares(
+        RecipientInput[] calldata changes
+    ) internal {
+        require(positions == address(0), "Recipients are positions");
+        address[] memory accounts = new address[](changes.length);
+        uint256[] memory shares = new uint256[](changes.length);
+        for (uint256 i = 0; i < changes.length; i++) {
+            require(
+                recipientShares[changes[i].addr] > 0 && changes[i].share > 0,
+                "Invalid recipient share"
+            );
+            for (uint256 j = 0; j < i; j++) {
+                require(accounts[j] != changes[i].addr, "Duplicate recipient");
+            }
+            accounts[i] = changes[i].addr;
+            shares[i] = changes[i].share;
+            emit RecipientShareChanged(changes[i].addr, changes[i].share);
+        }
+        _setRecipientShares(accounts, shares);
+
+        uint256 sumRecipients = 0;
+        for (uint256 r = 0; r < recipientsList.length; r++) {
+            sumRecipients += recipientShares[recipientsList[r]];
+        }
+        require(sumRecipients == 10000, "Recipients shares must sum to 10000");
+    }
+
+    // -------------------
+    // Cancelación de mutuo acuerdo
+    // -------------------
+    // Antes de resolverse, el escrow pasa directamente a REFUNDED cuando lo aprueban
+    // todos los firmantes de la cancelación, sin esperar a que venzan los plazos
+    function approveCancellation() external {
+        require(
+            state == State.INIT || state == State.AWAITING_CONFIRMATION,
+            "Invalid state"
+        );
+        require(_isCancellationSigner(msg.sender), "Not a cancellation signer");
+        require(!cancellationApprovals[msg.sender], "Already approved");
+
+        cancellationApprovals[msg.sender] = true;
+        emit CancellationApproved(msg.sender);
+
+        if (_cancellationApproved()) {
+            _allocateRefundToParticipants();
+        }
+    }
+
+    function _isCancellationSigner(address account) internal view returns (bool) {
+        if (cancellationSigners.length == 0) {
+            return _isParty(account);
+        }
+        for (uint256 i = 0; i < cancellationSigners.length; i++) {
+            if (cancellationSigners[i] == account) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Se comprueba sobre las partes actuales, así quien sustituya a una parte (por
+    // una enmienda o una posición) también debe aprobar
+    function _cancellationApproved() internal view returns (bool) {
+        if (cancellationSigners.length > 0) {
+            for (uint256 i = 0; i < cancellationSigners.length; i++) {
+                if (!cancellationApprovals[cancellationSigners[i]]) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        for (uint256 p = 0; p < participantsList.length; p++) {
+            if (!cancellationApprovals[participantsList[p]]) {
+                return false;
+            }
+        }
+        for (uint256 r = 0; r < recipientsList.length; r++) {
+            if (!cancellationApprovals[recipientsList[r]]) {
+                return false;
+            }
+        }
+        return true;
     }
 
-    function _checkDisputeDeadline() internal view {
+    // -------------------
+    // Pausa de emergencia
+    // -------------------
+    // El guardián del factory detiene depósitos, confirmaciones y disputas de este
+    // escrow. Los fondos ya asignados se pueden seguir retirando
+    function pause() external {
+        require(msg.sender == EscrowFactory(factory).guardian(), "Not guardian");
+        require(!paused, "Already paused");
+
+        paused = true;
+        pausedAt = block.timestamp;
+        factoryPausedTimeAtPause = EscrowFactory(factory).pausedTime();
+        emit Paused(msg.sender);
+    }
+
+    // Al reanudar, los plazos en curso se amplían con lo que ha durado la pausa; lo
+    // que coincidió con una pausa global ya se cuenta en la del factory. También
+    // reanuda el propietario del factory, por si ya no hay guardián
+    function unpause() external {
         require(
-            block.timestamp <= disputeStartTime + disputePeriod,
-            "Dispute period expired"
+            msg.sender == EscrowFactory(factory).guardian() ||
+                msg.sender == EscrowFactory(factory).owner(),
+            "Not guardian"
         );
+        require(paused, "Not paused");
+
+        uint256 duration = block.timestamp - pausedAt;
+        localPausedTime +=
+            duration -
+            (EscrowFactory(factory).pausedTime() - factoryPausedTimeAtPause);
+        paused = false;
+        pausedAt = 0;
+        emit Unpaused(msg.sender, duration);
     }
+}
 
+// Activos no fungibles de un Escrow: depósitos mediante los hooks de transferencia
+// segura de ERC-721 y ERC-1155 y entrega al resolver o al reembolsar. Como
+// EscrowDisputeModule, cada escrow lo ejecuta con delegatecall
+contract EscrowItemsModule is EscrowBase {
     // -------------------
-    // Refund (Reembolso)
+    // Depósitos
     // -------------------
-    function forceRefund() external {
-        if (state == State.INIT) {
-            require(
-                block.timestamp > creationTime + fundingPeriod,
-                "Funding period not ended"
-            );
-        } else if (state == State.AWAITING_CONFIRMATION) {
-            require(
-                block.timestamp > fundedTime + confirmationPeriod,
-                "Confirmation period not ended"
-            );
-        } else if (state == State.DISPUTE) {
-            require(
-                block.timestamp > disputeStartTime + disputePeriod,
-                "Dispute period not ended"
-            );
-        } else {
-            revert("No refund allowed in current state");
-        }
+    // Quien envía el token deposita en su nombre; con data = abi.encode(participant)
+    // el depósito se acredita a otro participante, como depositTokenFor
+    function onERC721Received(
+        address,
+        address from,
+        uint256 tokenId,
+        bytes calldata data
+    ) external returns (bytes4) {
+        _depositItem(ItemStandard.ERC721, _itemDepositor(from, data), tokenId, 1);
+        _checkAllDepositsCompleted();
+        return IERC721Receiver.onERC721Received.selector;
+    }
 
-        _allocateRefundToParticipants();
+    function onERC1155Received(
+        address,
+        address from,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external returns (bytes4) {
+        _depositItem(ItemStandard.ERC1155, _itemDepositor(from, data), id, amount);
+        _checkAllDepositsCompleted();
+        return IERC1155Receiver.onERC1155Received.selector;
     }
 
-    // Reembolsar a participantes sus aportes iniciales
-    function _allocateRefundToParticipants() internal {
-        require(
-            state != State.RESOLVED && state != State.REFUNDED,
-            "Already resolved or refunded"
-        );
-        State oldState = state;
-        state = State.REFUNDED;
-        emit StateChanged(oldState, state);
+    function onERC1155BatchReceived(
+        address,
+        address from,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external returns (bytes4) {
+        // El estado se comprueba una vez para todo el lote: si un id completa el
+        // fondeo, el resto se acredita igualmente
+        address participant = _itemDepositor(from, data);
+        for (uint256 i = 0; i < ids.length; i++) {
+            _depositItem(ItemStandard.ERC1155, participant, ids[i], amounts[i]);
+        }
+        _checkAllDepositsCompleted();
+        return IERC1155Receiver.onERC1155BatchReceived.selector;
+    }
 
-        // Devolver a cada participante lo que aportó
-        for (uint256 p = 0; p < participantsList.length; p++) {
-            address participantAddr = participantsList[p];
-            for (uint256 a = 0; a < assets.length; a++) {
-                address token = assets[a].token;
-                uint256 amount = deposits[participantAddr][token];
-                if (amount > 0) {
-                    deposits[participantAddr][token] = 0;
-                    balancesToWithdraw[participantAddr][token] += amount;
-                    emit FundsAllocated(participantAddr, amount, token);
-                }
+    // Participante al que se acredita el depósito, si aún se admiten depósitos
+    function _itemDepositor(
+        address from,
+        bytes calldata data
+    )
+        internal
+        inState(State.INIT)
+        whenNotPaused
+        returns (address participant)
+    {
+        participant = data.length == 32 ? abi.decode(data, (address)) : from;
+        require(participantShares[participant] > 0, "Not a participant");
+        _checkFundingDeadline();
+    }
+
+    // Registra el depósito en el primer activo pendiente que coincida; msg.sender
+    // es el contrato del token. Si no coincide ninguno la transferencia revierte
+    function _depositItem(
+        ItemStandard standard,
+        address participant,
+        uint256 id,
+        uint256 amount
+    ) internal {
+        for (uint256 i = 0; i < items.length; i++) {
+            Item storage item = items[i];
+            if (
+                item.depositor == address(0) &&
+                item.standard == standard &&
+                item.token == msg.sender &&
+                item.id == id &&
+                item.amount == amount
+            ) {
+                item.depositor = participant;
+                emit ItemDeposited(participant, i);
+                return;
             }
         }
+        revert("Item not required");
     }
 
     // -------------------
-    // Withdraw (Pull Payment)
+    // Entrega (Pull Payment)
     // -------------------
-    // Cada usuario retira sus fondos asignados tras RESOLVED o REFUNDED
-    function withdraw(address token) external {
-        // Verificar que el estado sea válido para permitir retiros
+    // Tras RESOLVED el receptor indicado retira el activo; tras REFUNDED lo hace
+    // quien lo depositó
+    function withdrawItem(uint256 index) external nonReentrant {
         require(
             state == State.RESOLVED || state == State.REFUNDED,
             "Invalid state"
         );
+        Item storage item = items[index];
+        address to = state == State.RESOLVED ? item.recipient : item.depositor;
+        require(msg.sender == to && !item.withdrawn, "Nothing to withdraw");
 
-        uint256 amount = balancesToWithdraw[msg.sender][token];
-        require(amount > 0, "Nothing to withdraw");
-
-        balancesToWithdraw[msg.sender][token] = 0;
-
-        // Enviar Ether o tokens
-        if (token == address(0)) {
-            (bool success, ) = msg.sender.call{value: amount}("");
-            require(success, "ETH withdraw failed");
-            emit Withdrawn(msg.sender, amount, address(0));
+        item.withdrawn = true;
+        if (item.standard == ItemStandard.ERC721) {
+            IERC721(item.token).safeTransferFrom(address(this), to, item.id);
         } else {
-            IERC20(token).transfer(msg.sender, amount);
-            emit Withdrawn(msg.sender, amount, token);
+            IERC1155(item.token).safeTransferFrom(
+                address(this),
+                to,
+                item.id,
+                item.amount,
+                ""
+            );
         }
+        emit ItemWithdrawn(to, index);
+    }
+}
+
+// Posiciones de receptor como tokens ERC-721, una colección para todos los escrows
+// del factory. Cada token representa el share de un receptor en un escrow; al
+// transferirlo, el escrow pasa ese share al nuevo titular
+contract EscrowPositions {
+    event Transfer(
+        address indexed from,
+        address indexed to,
+        uint256 indexed tokenId
+    );
+    event Approval(
+        address indexed owner,
+        address indexed approved,
+        uint256 indexed tokenId
+    );
+    event ApprovalForAll(
+        address indexed owner,
+        address indexed operator,
+        bool approved
+    );
+
+    string public constant name = "Escrow Recipient Position";
+    string public constant symbol = "ESCROWPOS";
+
+    // Posición que representa cada token
+    struct Position {
+        address escrow;
+        uint256 share;
+    }
+
+    // Factory que la despliega, el único que puede emitir posiciones
+    address public immutable factory;
+    uint256 public totalSupply;
+
+    mapping(uint256 => Position) public positions;
+    mapping(address => uint256[]) private escrowPositions;
+
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    constructor() {
+        factory = msg.sender;
+    }
+
+    // Emite la posición de un receptor al crear el escrow; los ids empiezan en 1
+    function mint(
+        address to,
+        address escrow,
+        uint256 share
+    ) external returns (uint256 tokenId) {
+        require(msg.sender == factory, "Not factory");
+        tokenId = ++totalSupply;
+        positions[tokenId] = Position({escrow: escrow, share: share});
+        escrowPositions[escrow].push(tokenId);
+        owners[tokenId] = to;
+        balances[to]++;
+        emit Transfer(address(0), to, tokenId);
+    }
+
+    // Tokens de las posiciones de un escrow, en el orden de sus receptores iniciales
+    function positionsOf(
+        address escrow
+    ) external view returns (uint256[] memory) {
+        return escrowPositions[escrow];
+    }
+
+    function balanceOf(address owner) external view returns (uint256) {
+        require(owner != address(0), "Invalid owner");
+        return balances[owner];
     }
 
-    // Cambiar la dirección del mediador
-    function changeMediator(address newMediator) external onlyMediator {
+    function ownerOf(uint256 tokenId) public view returns (address owner) {
+        owner = owners[tokenId];
+        require(owner != address(0), "Nonexistent token");
+    }
+
+    function getApproved(uint256 tokenId) external view returns (address) {
+        ownerOf(tokenId);
+        return tokenApprovals[tokenId];
+    }
+
+    function approve(address approved, uint256 tokenId) external {
+        address owner = ownerOf(tokenId);
         require(
-            newMediator != address(0),
-            "New mediator cannot be zero address"
+            msg.sender == owner || isApprovedForAll[owner][msg.sender],
+            "Not authorized"
         );
-        mediator = newMediator;
+        tokenApprovals[tokenId] = approved;
+        emit Approval(owner, approved, tokenId);
     }
 
-    // Para recibir Ether
-    receive() external payable {}
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        require(owner == from, "Not owner");
+        require(
+            msg.sender == owner ||
+                isApprovedForAll[owner][msg.sender] ||
+                tokenApprovals[tokenId] == msg.sender,
+            "Not authorized"
+        );
+        require(to != address(0), "Invalid recipient");
+
+        delete tokenApprovals[tokenId];
+        balances[from]--;
+        balances[to]++;
+        owners[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+
+        Position memory position = positions[tokenId];
+        Escrow(payable(position.escrow)).onPositionTransfer(
+            from,
+            to,
+            position.share
+        );
+    }
+
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 tokenId
+    ) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 tokenId,
+        bytes memory data
+    ) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(
+                    msg.sender,
+                    from,
+                    tokenId,
+                    data
+                ) == IERC721Receiver.onERC721Received.selector,
+                "Unsafe recipient"
+            );
+        }
+    }
+
+    // ERC-165: ERC-165 y ERC-721
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x80ac58cd;
+    }
 }
 
-contract EscrowFactory {
+contract EscrowFactory is IEscrowErrors {
     event EscrowCreated(
         address indexed escrowAddress,
         address indexed creator,
         address mediator
     );
+    event ProtocolFeeUpdated(uint256 fee, address recipient);
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event GuardianChanged(address indexed guardian);
+    event Paused(address indexed guardian);
+    event Unpaused(address indexed guardian, uint256 duration);
 
     address[] public allEscrows;
 
+    // Escrows creados por este factory, los únicos que pueden notificar cambios
+    mapping(address => bool) public isEscrow;
+
+    // Índices por dirección: escrows en los que es mediador, participante o receptor,
+    // con la posición (índice + 1) de cada escrow en la lista
+    mapping(EscrowBase.Role => mapping(address => address[])) private escrowsByRole;
+    mapping(EscrowBase.Role => mapping(address => mapping(address => uint256)))
+        private roleIndex;
+
+    // Escrows agrupados por estado, con la posición (índice + 1) de cada escrow en su lista
+    mapping(EscrowBase.State => address[]) private escrowsByState;
+    mapping(address => uint256) private stateIndex;
+
+    // Implementación de la que se clonan todos los escrows (EIP-1167)
+    address public immutable escrowImplementation;
+
+    // Colección ERC-721 de posiciones de receptor, desplegada por el factory
+    EscrowPositions public immutable positions;
+
+    // Propietario de la plataforma, controla la comisión de protocolo
+    address public owner;
+
+    // Comisión de protocolo (base 10000) aplicada a los escrows que se creen
+    uint256 public protocolFee;
+    address public feeRecipient;
+
+    // Guardián opcional (0x0 = sin guardián): puede pausar cada escrow o todos a la
+    // vez. Cada escrow amplía sus plazos con el tiempo en pausa acumulado
+    address public guardian;
+    bool public paused;
+    uint256 public pausedAt;
+    uint256 internal accumulatedPausedTime; // Pausas globales ya terminadas
+
     // Estructura para devolver todos los detalles del Escrow sin problemas de stack
     struct EscrowDetails {
-        Escrow.State state_;
+        EscrowBase.State state_;
         address mediator_;
         address[] participants;
         uint256[] participantShares_;
@@ -459,6 +3336,10 @@ contract EscrowFactory {
         address[] assetTokens;
         uint256[] assetRequiredAmounts;
         uint256[] assetDepositedAmounts;
+        uint256[] assetReleasedAmounts;
+        uint256[] milestoneShares;
+        uint256[] milestoneConfirmationPeriods;
+        uint256 currentMilestone_;
         uint256 confirmationsThreshold_;
         uint256 fundingPeriod_;
         uint256 confirmationPeriod_;
@@ -467,34 +3348,494 @@ contract EscrowFactory {
         uint256 fundedTime_;
         uint256 disputeStartTime_;
         bool disputeRaised_;
+        bool enforceQuotas_;
+        bool weightByDeposits_;
+        uint256 mediatorFee_;
+        bool chargeMediatorFeeAlways_;
+        uint256 protocolFee_;
+        address protocolFeeRecipient_;
+        bool resolvedByMediator_;
+        address[] arbitrators_;
+        bytes32[] arbitratorVotes; // Resolución votada por cada árbitro (0 = sin voto)
+        uint256[] arbitratorVoteCounts; // Votos que suma la resolución de cada árbitro
+        uint256 arbitrationQuorum_;
+        uint256[] positionIds; // Tokens ERC-721 de las posiciones de receptor
+        uint256 vestingDuration_;
+        uint256 vestingCliff_;
+        bool optimistic_; // Sin objeción a la entrega se libera a los receptores y no se reembolsa
+        uint256 deliveryTime_; // Entrega marcada del hito actual (0 = sin marcar)
+        bool paused_; // Pausado por el guardián, el escrow o todo el factory
+        uint256 pausedTime_; // Tiempo en pausa en que se han ampliado los plazos
+        address observer_; // Contrato notificado en cada transición (0x0 = ninguno)
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Not owner");
+        _;
+    }
+
+    modifier onlyEscrow() {
+        require(isEscrow[msg.sender], "Not an escrow");
+        _;
+    }
+
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Not guardian");
+        _;
+    }
+
+    // Despliega la única implementación de la que se clonan los escrows. Los módulos
+    // se despliegan antes por separado: con ellos no cabría todo en una transacción
+    constructor(
+        address _disputeModule,
+        address _partiesModule,
+        address _itemsModule,
+        address _setupModule
+    ) {
+        escrowImplementation = address(
+            new Escrow(
+                _disputeModule,
+                _partiesModule,
+                _itemsModule,
+                _setupModule
+            )
+        );
+        positions = new EscrowPositions();
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    // Configura la comisión de protocolo para los nuevos escrows
+    function setProtocolFee(
+        uint256 fee,
+        address recipient
+    ) external onlyOwner {
+        require(fee <= 10000, "Invalid fee");
+        require(fee == 0 || recipient != address(0), "Invalid fee recipient");
+        protocolFee = fee;
+        feeRecipient = recipient;
+        emit ProtocolFeeUpdated(fee, recipient);
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "New owner cannot be zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    // Designa al guardián; 0x0 lo retira
+    function setGuardian(address newGuardian) external onlyOwner {
+        guardian = newGuardian;
+        emit GuardianChanged(newGuardian);
+    }
+
+    // Pausa global: depósitos, confirmaciones y disputas de todos los escrows
+    function pause() external onlyGuardian {
+        require(!paused, "Already paused");
+        paused = true;
+        pausedAt = block.timestamp;
+        emit Paused(msg.sender);
+    }
+
+    // El propietario también reanuda, así retirar al guardián no deja la pausa activa
+    function unpause() external {
+        require(msg.sender == guardian || msg.sender == owner, "Not guardian");
+        require(paused, "Not paused");
+        uint256 duration = block.timestamp - pausedAt;
+        accumulatedPausedTime += duration;
+        paused = false;
+        pausedAt = 0;
+        emit Unpaused(msg.sender, duration);
+    }
+
+    // Tiempo total en pausa global, incluida la pausa en curso
+    function pausedTime() external view returns (uint256) {
+        if (paused) {
+            return accumulatedPausedTime + block.timestamp - pausedAt;
+        }
+        return accumulatedPausedTime;
     }
 
     // Crear un nuevo escrow a través del factory
     function createEscrow(
         address mediator,
-        Escrow.ParticipantInput[] calldata participants,
-        Escrow.RecipientInput[] calldata recipients,
-        Escrow.AssetInput[] calldata requiredAssets,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        uint256 fundingPeriod,
+        uint256 confirmationPeriod,
+        uint256 disputePeriod,
+        EscrowBase.EscrowOptions memory options
+    ) external returns (address) {
+        address instance = _clone(false, bytes32(0));
+        _initializeEscrow(
+            instance,
+            mediator,
+            participants,
+            recipients,
+            requiredAssets,
+            milestones,
+            confirmationsThreshold,
+            fundingPeriod,
+            confirmationPeriod,
+            disputePeriod,
+            options
+        );
+        return instance;
+    }
+
+    // Crear un escrow en una dirección determinista (CREATE2). La dirección depende
+    // del salt y de todos los parámetros, así se puede comunicar antes de crearlo
+    function createEscrowDeterministic(
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
         uint256 confirmationsThreshold,
         uint256 fundingPeriod,
         uint256 confirmationPeriod,
-        uint256 disputePeriod
+        uint256 disputePeriod,
+        EscrowBase.EscrowOptions memory options,
+        bytes32 salt
     ) external returns (address) {
-        Escrow newEscrow = new Escrow(
+        address instance = _clone(
+            true,
+            _escrowSalt(
+                mediator,
+                participants,
+                recipients,
+                requiredAssets,
+                milestones,
+                confirmationsThreshold,
+                fundingPeriod,
+                confirmationPeriod,
+                disputePeriod,
+                options,
+                salt
+            )
+        );
+        _initializeEscrow(
+            instance,
+            mediator,
+            participants,
+            recipients,
+            requiredAssets,
+            milestones,
+            confirmationsThreshold,
+            fundingPeriod,
+            confirmationPeriod,
+            disputePeriod,
+            options
+        );
+        return instance;
+    }
+
+    // Dirección que tendrá el escrow creado con createEscrowDeterministic
+    function predictEscrowAddress(
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        uint256 fundingPeriod,
+        uint256 confirmationPeriod,
+        uint256 disputePeriod,
+        EscrowBase.EscrowOptions memory options,
+        bytes32 salt
+    ) external view returns (address) {
+        bytes32 escrowSalt = _escrowSalt(
+            mediator,
+            participants,
+            recipients,
+            requiredAssets,
+            milestones,
+            confirmationsThreshold,
+            fundingPeriod,
+            confirmationPeriod,
+            disputePeriod,
+            options,
+            salt
+        );
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0xff),
+                address(this),
+                escrowSalt,
+                keccak256(_cloneCode(escrowImplementation))
+            )
+        );
+        return address(uint160(uint256(hash)));
+    }
+
+    // Comprueba sin desplegar los parámetros de createEscrow con la configuración
+    // actual de la plataforma. Devuelve el primer problema codificado como el error
+    // con el que revertiría createEscrow, o vacío si son válidos
+    function validateEscrowParams(
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        uint256 /* fundingPeriod */,
+        uint256 /* confirmationPeriod */,
+        uint256 /* disputePeriod */,
+        EscrowBase.EscrowOptions memory options
+    ) external view returns (bytes memory) {
+        return
+            EscrowValidation.validate(
+                mediator,
+                participants,
+                recipients,
+                requiredAssets,
+                milestones,
+                confirmationsThreshold,
+                options,
+                _platformConfig(options)
+            );
+    }
+
+    // Inicializa un clon recién creado y lo registra
+    function _initializeEscrow(
+        address instance,
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        uint256 fundingPeriod,
+        uint256 confirmationPeriod,
+        uint256 disputePeriod,
+        EscrowBase.EscrowOptions memory options
+    ) internal {
+        Escrow(payable(instance)).initialize(
             mediator,
             participants,
             recipients,
             requiredAssets,
+            milestones,
             confirmationsThreshold,
             fundingPeriod,
             confirmationPeriod,
-            disputePeriod
+            disputePeriod,
+            options,
+            _platformConfig(options)
+        );
+
+        // Una posición por receptor, a su nombre
+        if (options.recipientPositions) {
+            for (uint256 i = 0; i < recipients.length; i++) {
+                positions.mint(
+                    recipients[i].addr,
+                    instance,
+                    recipients[i].share
+                );
+            }
+        }
+
+        allEscrows.push(instance);
+        isEscrow[instance] = true;
+        _indexEscrow(
+            instance,
+            mediator,
+            options.arbitrators,
+            participants,
+            recipients
+        );
+        emit EscrowCreated(instance, msg.sender, mediator);
+    }
+
+    // Configuración de la plataforma que recibe un escrow nuevo
+    function _platformConfig(
+        EscrowBase.EscrowOptions memory options
+    ) internal view returns (EscrowBase.PlatformConfig memory) {
+        return
+            EscrowBase.PlatformConfig({
+                protocolFee: protocolFee,
+                protocolFeeRecipient: feeRecipient,
+                positions: options.recipientPositions
+                    ? address(positions)
+                    : address(0)
+            });
+    }
+
+    // Registra un escrow nuevo en los índices por estado y por dirección
+    function _indexEscrow(
+        address instance,
+        address mediator,
+        address[] memory arbitrators,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients
+    ) internal {
+        _addToList(escrowsByState[EscrowBase.State.INIT], stateIndex, instance);
+        _addToList(
+            escrowsByRole[EscrowBase.Role.MEDIATOR][mediator],
+            roleIndex[EscrowBase.Role.MEDIATOR][mediator],
+            instance
+        );
+        for (uint256 i = 0; i < arbitrators.length; i++) {
+            address a = arbitrators[i];
+            _addToList(
+                escrowsByRole[EscrowBase.Role.MEDIATOR][a],
+                roleIndex[EscrowBase.Role.MEDIATOR][a],
+                instance
+            );
+        }
+        for (uint256 i = 0; i < participants.length; i++) {
+            address p = participants[i].addr;
+            _addToList(
+                escrowsByRole[EscrowBase.Role.PARTICIPANT][p],
+                roleIndex[EscrowBase.Role.PARTICIPANT][p],
+                instance
+            );
+        }
+        for (uint256 i = 0; i < recipients.length; i++) {
+            address r_ = recipients[i].addr;
+            _addToList(
+                escrowsByRole[EscrowBase.Role.RECIPIENT][r_],
+                roleIndex[EscrowBase.Role.RECIPIENT][r_],
+                instance
+            );
+        }
+    }
+
+    // Llamado por un escrow al cambiar de estado
+    function onEscrowStateChanged(
+        EscrowBase.State oldState,
+        EscrowBase.State newState
+    ) external onlyEscrow {
+        _removeFromList(escrowsByState[oldState], stateIndex, msg.sender);
+        _addToList(escrowsByState[newState], stateIndex, msg.sender);
+    }
+
+    // Llamado por un escrow cuando una dirección pasa a ocupar el papel de otra.
+    // Con oldAccount = 0x0 solo añade y con newAccount = 0x0 solo quita
+    function onEscrowRoleChanged(
+        EscrowBase.Role role,
+        address oldAccount,
+        address newAccount
+    ) external onlyEscrow {
+        _removeFromList(
+            escrowsByRole[role][oldAccount],
+            roleIndex[role][oldAccount],
+            msg.sender
         );
+        if (newAccount != address(0)) {
+            _addToList(
+                escrowsByRole[role][newAccount],
+                roleIndex[role][newAccount],
+                msg.sender
+            );
+        }
+    }
+
+    // Añade un escrow a una lista indexada si no estaba ya
+    function _addToList(
+        address[] storage list,
+        mapping(address => uint256) storage indexOf,
+        address escrowAddress
+    ) internal {
+        if (indexOf[escrowAddress] != 0) return;
+        list.push(escrowAddress);
+        indexOf[escrowAddress] = list.length;
+    }
+
+    // Quita un escrow de una lista indexada moviendo el último a su hueco, O(1)
+    function _removeFromList(
+        address[] storage list,
+        mapping(address => uint256) storage indexOf,
+        address escrowAddress
+    ) internal {
+        uint256 position = indexOf[escrowAddress];
+        if (position == 0) return;
+        address last = list[list.length - 1];
+        list[position - 1] = last;
+        indexOf[last] = position;
+        list.pop();
+        delete indexOf[escrowAddress];
+    }
+
+    // Devuelve como mucho limit elementos de la lista a partir de offset
+    function _page(
+        address[] storage list,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (address[] memory page) {
+        if (offset >= list.length) return new address[](0);
+        uint256 end = offset + limit;
+        if (end > list.length) end = list.length;
+        page = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = list[i];
+        }
+    }
+
+    // Salt efectivo de CREATE2: el salt del usuario ligado a los parámetros del escrow
+    function _escrowSalt(
+        address mediator,
+        EscrowBase.ParticipantInput[] memory participants,
+        EscrowBase.RecipientInput[] memory recipients,
+        EscrowBase.AssetInput[] memory requiredAssets,
+        EscrowBase.MilestoneInput[] memory milestones,
+        uint256 confirmationsThreshold,
+        uint256 fundingPeriod,
+        uint256 confirmationPeriod,
+        uint256 disputePeriod,
+        EscrowBase.EscrowOptions memory options,
+        bytes32 salt
+    ) internal pure returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    mediator,
+                    participants,
+                    recipients,
+                    requiredAssets,
+                    milestones,
+                    confirmationsThreshold,
+                    fundingPeriod,
+                    confirmationPeriod,
+                    disputePeriod,
+                    options,
+                    salt
+                )
+            );
+    }
 
-        allEscrows.push(address(newEscrow));
-        emit EscrowCreated(address(newEscrow), msg.sender, mediator);
+    // Despliega un proxy mínimo EIP-1167 que delega en la implementación,
+    // con CREATE o con CREATE2 si es determinista
+    function _clone(
+        bool deterministic,
+        bytes32 escrowSalt
+    ) internal returns (address instance) {
+        bytes memory code = _cloneCode(escrowImplementation);
+        assembly {
+            switch deterministic
+            case 0 {
+                instance := create(0, add(code, 0x20), mload(code))
+            }
+            default {
+                instance := create2(0, add(code, 0x20), mload(code), escrowSalt)
+            }
+        }
+        require(instance != address(0), "Clone failed");
+    }
 
-        return address(newEscrow);
+    // Código de creación de un proxy mínimo EIP-1167 que delega en la implementación
+    function _cloneCode(
+        address implementation
+    ) internal pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                hex"3d602d80600a3d3981f3363d3d373d3d3d363d73",
+                implementation,
+                hex"5af43d82803e903d91602b57fd5bf3"
+            );
     }
 
     // Devuelve todos los escrows creados
@@ -502,33 +3843,70 @@ contract EscrowFactory {
         return allEscrows;
     }
 
+    function escrowsCount() external view returns (uint256) {
+        return allEscrows.length;
+    }
+
+    // Devuelve los escrows creados, paginados en orden de creación
+    function getEscrows(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(allEscrows, offset, limit);
+    }
+
+    function escrowsByRoleCount(
+        EscrowBase.Role role,
+        address account
+    ) external view returns (uint256) {
+        return escrowsByRole[role][account].length;
+    }
+
+    // Escrows en los que account es mediador, participante o receptor, paginados.
+    // El orden no es estable: al quitar un escrow el último ocupa su posición
+    function getEscrowsByRole(
+        EscrowBase.Role role,
+        address account,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(escrowsByRole[role][account], offset, limit);
+    }
+
+    function escrowsByStateCount(
+        EscrowBase.State state
+    ) external view returns (uint256) {
+        return escrowsByState[state].length;
+    }
+
+    // Escrows en un estado dado, paginados. El orden no es estable, como en getEscrowsByRole
+    function getEscrowsByState(
+        EscrowBase.State state,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (address[] memory) {
+        return _page(escrowsByState[state], offset, limit);
+    }
+
     // Obtiene la lista de escrows en estado DISPUTE
     function getEscrowsInDispute() external view returns (address[] memory) {
-        uint256 count = 0;
-        for (uint256 i = 0; i < allEscrows.length; i++) {
-            Escrow e = Escrow(payable(allEscrows[i]));
-            if (e.state() == Escrow.State.DISPUTE) {
-                count++;
-            }
-        }
+        return escrowsByState[EscrowBase.State.DISPUTE];
+    }
 
-        address[] memory disputes = new address[](count);
-        uint256 index = 0;
-        for (uint256 i = 0; i < allEscrows.length; i++) {
-            Escrow e = Escrow(payable(allEscrows[i]));
-            if (e.state() == Escrow.State.DISPUTE) {
-                disputes[index] = allEscrows[i];
-                index++;
-            }
+    // Retorna los detalles de varios escrows en una sola llamada
+    function getEscrowDetailsBatch(
+        address[] calldata escrowAddresses
+    ) external view returns (EscrowDetails[] memory details) {
+        details = new EscrowDetails[](escrowAddresses.length);
+        for (uint256 i = 0; i < escrowAddresses.length; i++) {
+            details[i] = getEscrowDetails(escrowAddresses[i]);
         }
-
-        return disputes;
     }
 
     // Retorna detalles completos de un escrow específico
     function getEscrowDetails(
         address escrowAddress
-    ) external view returns (EscrowDetails memory details) {
+    ) public view returns (EscrowDetails memory details) {
         Escrow e = Escrow(payable(escrowAddress));
 
         details.state_ = e.state();
@@ -541,6 +3919,23 @@ contract EscrowFactory {
         details.fundedTime_ = e.fundedTime();
         details.disputeStartTime_ = e.disputeStartTime();
         details.disputeRaised_ = e.disputeRaised();
+        details.currentMilestone_ = e.currentMilestone();
+        details.enforceQuotas_ = e.enforceQuotas();
+        details.weightByDeposits_ = e.weightByDeposits();
+        details.mediatorFee_ = e.mediatorFee();
+        details.chargeMediatorFeeAlways_ = e.chargeMediatorFeeAlways();
+        details.protocolFee_ = e.protocolFee();
+        details.protocolFeeRecipient_ = e.protocolFeeRecipient();
+        details.resolvedByMediator_ = e.resolvedByMediator();
+        details.arbitrationQuorum_ = e.arbitrationQuorum();
+        details.positionIds = positions.positionsOf(escrowAddress);
+        details.vestingDuration_ = e.vestingDuration();
+        details.vestingCliff_ = e.vestingCliff();
+        details.optimistic_ = e.optimistic();
+        details.deliveryTime_ = e.deliveryTime(details.currentMilestone_);
+        details.paused_ = e.isPaused();
+        details.pausedTime_ = e.pausedTime();
+        details.observer_ = e.observer();
 
         uint256 pCount = e.participantsCount();
         uint256 rCount = e.recipientsCount();
@@ -566,13 +3961,40 @@ contract EscrowFactory {
         details.assetTokens = new address[](aCount);
         details.assetRequiredAmounts = new uint256[](aCount);
         details.assetDepositedAmounts = new uint256[](aCount);
+        details.assetReleasedAmounts = new uint256[](aCount);
 
         for (uint256 i = 0; i < aCount; i++) {
-            (address token, uint256 requiredAmount, uint256 depositedAmount) = e
-                .assets(i);
+            (
+                address token,
+                uint256 requiredAmount,
+                uint256 depositedAmount,
+                uint256 releasedAmount
+            ) = e.assets(i);
             details.assetTokens[i] = token;
             details.assetRequiredAmounts[i] = requiredAmount;
             details.assetDepositedAmounts[i] = depositedAmount;
+            details.assetReleasedAmounts[i] = releasedAmount;
+        }
+
+        uint256 arbCount = e.arbitratorsCount();
+        details.arbitrators_ = new address[](arbCount);
+        details.arbitratorVotes = new bytes32[](arbCount);
+        details.arbitratorVoteCounts = new uint256[](arbCount);
+        for (uint256 i = 0; i < arbCount; i++) {
+            address arbitrator = e.arbitrators(i);
+            bytes32 vote = e.arbitratorVote(arbitrator);
+            details.arbitrators_[i] = arbitrator;
+            details.arbitratorVotes[i] = vote;
+            details.arbitratorVoteCounts[i] = e.rulingVotes(vote);
+        }
+
+        uint256 mCount = e.milestonesCount();
+        details.milestoneShares = new uint256[](mCount);
+        details.milestoneConfirmationPeriods = new uint256[](mCount);
+        for (uint256 i = 0; i < mCount; i++) {
+            (uint256 share, uint256 period) = e.milestones(i);
+            details.milestoneShares[i] = share;
+            details.milestoneConfirmationPeriods[i] = period;
         }
     }
 }
@@ -0,0 +1,420 @@
+// SPDX-License-Identifier: PropietarioUnico
+pragma solidity ^0.8.28;
+
+import {Escrow} from "./Escrow.sol";
+
+// Contratos de prueba para los tests de Escrow. No deben desplegarse en producción.
+
+// Base mínima de un token ERC20 sin las funciones de transferencia, que cada
+// mock define con la firma que quiere simular
+abstract contract BaseTokenMock {
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+    uint256 public totalSupply;
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+        totalSupply += amount;
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        return true;
+    }
+
+    function _move(address from, address to, uint256 amount) internal virtual {
+        require(balanceOf[from] >= amount, "Insufficient balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+    }
+
+    function _spendAllowance(address owner, uint256 amount) internal {
+        require(allowance[owner][msg.sender] >= amount, "Insufficient allowance");
+        allowance[owner][msg.sender] -= amount;
+    }
+}
+
+// Token estilo USDT: transfer y transferFrom no devuelven ningún valor
+contract NoReturnTokenMock is BaseTokenMock {
+    function transfer(address to, uint256 amount) external {
+        _move(msg.sender, to, amount);
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external {
+        _spendAllowance(from, amount);
+        _move(from, to, amount);
+    }
+}
+
+// Token que, activado returnFalse, devuelve false sin mover fondos en lugar de revertir
+contract FalseReturnTokenMock is BaseTokenMock {
+    bool public returnFalse;
+
+    function setReturnFalse(bool value) external {
+        returnFalse = value;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        if (returnFalse) return false;
+        _move(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        if (returnFalse) return false;
+        _spendAllowance(from, amount);
+        _move(from, to, amount);
+        return true;
+    }
+}
+
+// Token que quema una comisión (base 10000) en cada transferencia
+contract FeeOnTransferTokenMock is BaseTokenMock {
+    uint256 public transferFee;
+
+    constructor(uint256 _transferFee) {
+        transferFee = _transferFee;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _move(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        _spendAllowance(from, amount);
+        _move(from, to, amount);
+        return true;
+    }
+
+    function _move(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * transferFee) / 10000;
+        super._move(from, to, amount);
+        balanceOf[to] -= fee;
+        totalSupply -= fee;
+    }
+}
+
+// Token con aprobación por firma EIP-2612
+contract PermitTokenMock is BaseTokenMock {
+    string public name;
+    string public constant version = "1";
+    mapping(address => uint256) public nonces;
+
+    bytes32 public constant PERMIT_TYPEHASH =
+        keccak256(
+            "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+        );
+
+    constructor(string memory _name) {
+        name = _name;
+    }
+
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    keccak256(
+                        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+                    ),
+                    keccak256(bytes(name)),
+                    keccak256(bytes(version)),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    function permit(
+        address owner,
+        address spender,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "Permit expired");
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                DOMAIN_SEPARATOR(),
+                keccak256(
+                    abi.encode(
+                        PERMIT_TYPEHASH,
+                        owner,
+                        spender,
+                        value,
+                        nonces[owner]++,
+                        deadline
+                    )
+                )
+            )
+        );
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0) && signer == owner, "Invalid permit");
+        allowance[owner][spender] = value;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _move(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 amount
+    ) external returns (bool) {
+        _spendAllowance(from, amount);
+        _move(from, to, amount);
+        return true;
+    }
+}
+
+// Receptores de transferencias seguras, con los nombres de los EIP
+interface ERC721TokenReceiver {
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId,
+        bytes calldata data
+    ) external returns (bytes4);
+}
+
+interface ERC1155TokenReceiver {
+    function onERC1155Received(
+        address operator,
+        address from,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external returns (bytes4);
+
+    function onERC1155BatchReceived(
+        address operator,
+        address from,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external returns (bytes4);
+}
+
+// ERC-721 mínimo: acuñación libre, aprobación de operadores y transferencias seguras
+contract ERC721Mock {
+    mapping(uint256 => address) public ownerOf;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    function mint(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == address(0), "Already minted");
+        ownerOf[tokenId] = to;
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        require(ownerOf[tokenId] == from, "Not owner");
+        require(
+            msg.sender == from || isApprovedForAll[from][msg.sender],
+            "Not authorized"
+        );
+        ownerOf[tokenId] = to;
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 tokenId,
+        bytes memory data
+    ) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                ERC721TokenReceiver(to).onERC721Received(
+                    msg.sender,
+                    from,
+                    tokenId,
+                    data
+                ) == ERC721TokenReceiver.onERC721Received.selector,
+                "Unsafe recipient"
+            );
+        }
+    }
+}
+
+// ERC-1155 mínimo: acuñación libre y transferencias seguras, simples y en lote
+contract ERC1155Mock {
+    mapping(uint256 => mapping(address => uint256)) internal balances;
+
+    function balanceOf(address account, uint256 id) external view returns (uint256) {
+        return balances[id][account];
+    }
+
+    function mint(address to, uint256 id, uint256 amount) external {
+        balances[id][to] += amount;
+    }
+
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint256 id,
+        uint256 amount,
+        bytes calldata data
+    ) external {
+        require(msg.sender == from, "Not authorized");
+        _move(from, to, id, amount);
+        if (to.code.length > 0) {
+            require(
+                ERC1155TokenReceiver(to).onERC1155Received(
+                    msg.sender,
+                    from,
+                    id,
+                    amount,
+                    data
+                ) == ERC1155TokenReceiver.onERC1155Received.selector,
+                "Unsafe recipient"
+            );
+        }
+    }
+
+    function safeBatchTransferFrom(
+        address from,
+        address to,
+        uint256[] calldata ids,
+        uint256[] calldata amounts,
+        bytes calldata data
+    ) external {
+        require(msg.sender == from, "Not authorized");
+        for (uint256 i = 0; i < ids.length; i++) {
+            _move(from, to, ids[i], amounts[i]);
+        }
+        if (to.code.length > 0) {
+            require(
+                ERC1155TokenReceiver(to).onERC1155BatchReceived(
+                    msg.sender,
+                    from,
+                    ids,
+                    amounts,
+                    data
+                ) == ERC1155TokenReceiver.onERC1155BatchReceived.selector,
+                "Unsafe recipient"
+            );
+        }
+    }
+
+    function _move(address from, address to, uint256 id, uint256 amount) internal {
+        require(balances[id][from] >= amount, "Insufficient balance");
+        balances[id][from] -= amount;
+        balances[id][to] += amount;
+    }
+}
+
+// Observador de escrows que registra cada notificación: el escrow que llama y el hook
+contract EscrowObserverMock {
+    address[] public escrows;
+    bytes4[] public hooks;
+
+    function callsCount() external view returns (uint256) {
+        return hooks.length;
+    }
+
+    function onEscrowFunded() external {
+        _record();
+    }
+
+    function onEscrowDisputed() external {
+        _record();
+    }
+
+    function onEscrowResolved() external {
+        _record();
+    }
+
+    function onEscrowRefunded() external {
+        _record();
+    }
+
+    function _record() internal {
+        escrows.push(msg.sender);
+        hooks.push(msg.sig);
+    }
+}
+
+// Observador roto: revierte en cada notificación o, con burnGas, agota el gas recibido
+contract RevertingObserverMock {
+    bool public burnGas;
+
+    function setBurnGas(bool value) external {
+        burnGas = value;
+    }
+
+    function onEscrowFunded() external view {
+        _fail();
+    }
+
+    function onEscrowDisputed() external view {
+        _fail();
+    }
+
+    function onEscrowResolved() external view {
+        _fail();
+    }
+
+    function onEscrowRefunded() external view {
+        _fail();
+    }
+
+    function _fail() internal view {
+        if (burnGas) {
+            uint256 i = 0;
+            while (gasleft() > 0) {
+                i++;
+            }
+        }
+        revert("Observer failure");
+    }
+}
+
+// Escrow completo que, como antes de los clones, se inicializa tras desplegarlo
+contract StandaloneEscrowMock is Escrow {
+    constructor(
+        address _disputeModule,
+        address _partiesModule,
+        address _itemsModule,
+        address _setupModule
+    ) Escrow(_disputeModule, _partiesModule, _itemsModule, _setupModule) {
+        initialized = false;
+    }
+}
+
+// Creación anterior a los clones: despliega un Escrow completo y lo inicializa con
+// initCall, haciendo de factory sin pausas. gasUsed mide los dos pasos
+contract FullEscrowDeploymentMock {
+    uint256 public constant pausedTime = 0;
+    uint256 public gasUsed;
+    address public escrow;
+
+    function deployAndInitialize(address[4] memory modules, bytes memory initCall) external {
+        uint256 start = gasleft();
+        escrow = address(
+            new StandaloneEscrowMock(modules[0], modules[1], modules[2], modules[3])
+        );
+        (bool success, ) = escrow.call(initCall);
+        require(success, "Initialize failed");
+        gasUsed = start - gasleft();
+    }
+}
@@ -1,5 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const {
+  buildConfirmTypedData,
+  signConfirmation,
+  signPermit,
+  predictEscrowAddress,
+} = require("./escrow_utils");
 
 describe("Escrow and EscrowFactory", function () {
   let Escrow, EscrowFactory;
@@ -7,6 +13,29 @@ describe("Escrow and EscrowFactory", function () {
   let owner, mediator, participant1, participant2, recipient1, recipient2;
   const etherAmount = ethers.parseEther("1"); // 1 Ether
 
+  // Opciones por defecto: sin cuotas, confirmaciones ponderadas por shares y sin comisión de mediador
+  const defaultOptions = {
+    quotas: [],
+    enforceQuotas: false,
+    weightByDeposits: false,
+    mediatorFee: 0,
+    chargeMediatorFeeAlways: false,
+    arbitrators: [],
+    arbitrationQuorum: 0,
+    appealArbitrator: ethers.ZeroAddress,
+    appealPeriod: 0,
+    appealBond: 0,
+    recipientPositions: false,
+    vestingDuration: 0,
+    vestingCliff: 0,
+    amendmentsRequireMediator: false,
+    items: [],
+    optimistic: false,
+    cancellationSigners: [],
+    observer: ethers.ZeroAddress,
+    metaEvidence: "",
+  };
+
   beforeEach(async function () {
     [owner, mediator, participant1, participant2, recipient1, recipient2] =
       await ethers.getSigners();
@@ -14,41 +43,68 @@ describe("Escrow and EscrowFactory", function () {
     // Deploy contracts
     Escrow = await ethers.getContractFactory("Escrow");
     EscrowFactory = await ethers.getContractFactory("EscrowFactory");
-    escrowFactory = await EscrowFactory.deploy();
+    const EscrowDisputeModule = await ethers.getContractFactory("EscrowDisputeModule");
+    const EscrowPartiesModule = await ethers.getContractFactory("EscrowPartiesModule");
+    const EscrowItemsModule = await ethers.getContractFactory("EscrowItemsModule");
+    const EscrowSetupModule = await ethers.getContractFactory("EscrowSetupModule");
+    const disputeModule = await EscrowDisputeModule.deploy();
+    const partiesModule = await EscrowPartiesModule.deploy();
+    const itemsModule = await EscrowItemsModule.deploy();
+    const setupModule = await EscrowSetupModule.deploy();
+    escrowFactory = await EscrowFactory.deploy(
+      disputeModule.target,
+      partiesModule.target,
+      itemsModule.target,
+      setupModule.target
+    );
 
     await escrowFactory.waitForDeployment();
   });
 
-  async function deployAndInitializeEscrow() {
-    const participants = [
-      { addr: participant1.address, share: 5000 },
-      { addr: participant2.address, share: 5000 },
-    ];
-    const recipients = [
-      { addr: recipient1.address, share: 7000 },
-      { addr: recipient2.address, share: 3000 },
-    ];
-    const assets = [
-      { token: ethers.ZeroAddress, requiredAmount: etherAmount },
+  // Parámetros de createEscrow: dos participantes al 50%, dos receptores (70/30), 1 ETH
+  // y plazos de un día, con los cambios indicados; options se combina con defaultOptions
+  function escrowParams(changes = {}) {
+    const params = {
+      mediator: mediator.address,
+      participants: [
+        { addr: participant1.address, share: 5000 },
+        { addr: participant2.address, share: 5000 },
+      ],
+      recipients: [
+        { addr: recipient1.address, share: 7000 },
+        { addr: recipient2.address, share: 3000 },
+      ],
+      assets: [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }],
+      milestones: [], // Sin hitos: un único hito con el 100%
+      confirmationsThreshold: 5000,
+      fundingPeriod: 86400,
+      confirmationPeriod: 86400,
+      disputePeriod: 86400,
+      ...changes,
+      options: { ...defaultOptions, ...changes.options },
+    };
+    return [
+      params.mediator,
+      params.participants,
+      params.recipients,
+      params.assets,
+      params.milestones,
+      params.confirmationsThreshold,
+      params.fundingPeriod,
+      params.confirmationPeriod,
+      params.disputePeriod,
+      params.options,
     ];
+  }
 
-    const tx = await escrowFactory.createEscrow(
-      mediator.address,
-      participants,
-      recipients,
-      assets,
-      5000,
-      86400,
-      86400,
-      86400
-    );
-
+  async function deployAndInitializeEscrow(changes = {}) {
+    const tx = await escrowFactory.createEscrow(...escrowParams(changes));
     const receipt = await tx.wait();
 
     // Verificar el evento
     const event = receipt.logs
       .map((log) => escrowFactory.interface.parseLog(log))
-      .find((parsedLog) => parsedLog.name === "EscrowCreated");
+      .find((parsedLog) => parsedLog && parsedLog.name === "EscrowCreated");
 
     if (!event) {
       throw new Error("EscrowCreated event not found");
@@ -72,6 +128,128 @@ describe("Escrow and EscrowFactory", function () {
       const escrows = await escrowFactory.getAllEscrows();
       expect(escrows.length).to.equal(2);
     });
+
+    it("should create escrows as minimal proxy clones", async function () {
+      escrow = await deployAndInitializeEscrow();
+
+      // Un clon EIP-1167 ocupa 45 bytes y delega en la implementación
+      const code = await ethers.provider.getCode(escrow.target);
+      expect(ethers.dataLength(code)).to.equal(45);
+      expect(code.toLowerCase()).to.include(
+        (await escrowFactory.escrowImplementation()).slice(2).toLowerCase()
+      );
+    });
+
+    it("should not allow re-initializing an escrow or its implementation", async function () {
+      escrow = await deployAndInitializeEscrow();
+      const implementation = Escrow.attach(await escrowFactory.escrowImplementation());
+      const args = [
+        participant1.address,
+        [{ addr: participant1.address, share: 10000 }],
+        [{ addr: participant1.address, share: 10000 }],
+        [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }],
+        [],
+        5000,
+        86400,
+        86400,
+        86400,
+        defaultOptions,
+        { protocolFee: 0, protocolFeeRecipient: ethers.ZeroAddress, positions: ethers.ZeroAddress },
+      ];
+
+      await expect(escrow.initialize(...args)).to.be.revertedWith("Already initialized");
+      await expect(implementation.initialize(...args)).to.be.revertedWith("Already initialized");
+    });
+
+    it("should create escrows cheaper than deploying the full contract", async function () {
+      // Coste anterior: desplegar el bytecode completo de Escrow e inicializarlo, sin
+      // contar el coste base de la transacción
+      const implementation = Escrow.attach(await escrowFactory.escrowImplementation());
+      const modules = [
+        await implementation.disputeModule(),
+        await implementation.partiesModule(),
+        await implementation.itemsModule(),
+        await implementation.setupModule(),
+      ];
+      const initCall = Escrow.interface.encodeFunctionData("initialize", [
+        ...escrowParams(),
+        { protocolFee: 0, protocolFeeRecipient: ethers.ZeroAddress, positions: ethers.ZeroAddress },
+      ]);
+      const FullEscrowDeploymentMock = await ethers.getContractFactory("FullEscrowDeploymentMock");
+      const fullDeployment = await FullEscrowDeploymentMock.deploy();
+      await fullDeployment.deployAndInitialize(modules, initCall);
+      const standalone = Escrow.attach(await fullDeployment.escrow());
+      expect(await standalone.mediator()).to.equal(mediator.address);
+
+      // Coste actual: la transacción completa de clon + inicialización en el factory
+      const createTx = await escrowFactory.createEscrow(...escrowParams());
+      const createReceipt = await createTx.wait();
+
+      expect(createReceipt.gasUsed).to.be.lt(await fullDeployment.gasUsed());
+    });
+
+    it("should create escrows at the address predicted on-chain and offline", async function () {
+      const salt = ethers.id("escrow-1");
+      const params = escrowParams({ recipients: [{ addr: recipient1.address, share: 10000 }] });
+
+      const predicted = await escrowFactory.predictEscrowAddress(...params, salt);
+      const offline = predictEscrowAddress(
+        escrowFactory.target,
+        await escrowFactory.escrowImplementation(),
+        params,
+        salt
+      );
+      expect(offline).to.equal(predicted);
+
+      await expect(escrowFactory.createEscrowDeterministic(...params, salt))
+        .to.emit(escrowFactory, "EscrowCreated")
+        .withArgs(predicted, owner.address, mediator.address);
+
+      const deterministic = Escrow.attach(predicted);
+      expect(await deterministic.mediator()).to.equal(mediator.address);
+      expect(await escrowFactory.getAllEscrows()).to.deep.equal([predicted]);
+
+      // El mismo salt con los mismos parámetros no puede volver a usarse
+      await expect(
+        escrowFactory.createEscrowDeterministic(...params, salt)
+      ).to.be.revertedWith("Clone failed");
+    });
+
+    it("should bind the predicted address to the salt and the parameters", async function () {
+      const salt = ethers.id("escrow-1");
+      const params = escrowParams({
+        participants: [{ addr: participant1.address, share: 10000 }],
+        recipients: [{ addr: recipient1.address, share: 10000 }],
+      });
+      const implementation = await escrowFactory.escrowImplementation();
+      const base = predictEscrowAddress(escrowFactory.target, implementation, params, salt);
+
+      // Otro salt u otro receptor dan otra dirección
+      const otherSalt = predictEscrowAddress(
+        escrowFactory.target,
+        implementation,
+        params,
+        ethers.id("escrow-2")
+      );
+      const otherParams = [...params];
+      otherParams[2] = [{ addr: recipient2.address, share: 10000 }];
+      const otherRecipient = predictEscrowAddress(
+        escrowFactory.target,
+        implementation,
+        otherParams,
+        salt
+      );
+      expect(otherSalt).to.not.equal(base);
+      expect(otherRecipient).to.not.equal(base);
+      expect(await escrowFactory.predictEscrowAddress(...otherParams, salt)).to.equal(
+        otherRecipient
+      );
+
+      // Crear el escrow con otros parámetros no ocupa la dirección prevista
+      await escrowFactory.createEscrowDeterministic(...otherParams, salt);
+      await escrowFactory.createEscrowDeterministic(...params, salt);
+      expect(await ethers.provider.getCode(base)).to.not.equal("0x");
+    });
   });
 
   describe("Escrow", function () {
@@ -134,26 +312,7 @@ describe("Escrow and EscrowFactory", function () {
 
       it("should not resolve escrow if confirmations are insufficient", async function () {
         // Crear un escrow con umbral de confirmación del 70%
-        const customEscrow = await escrowFactory.createEscrow(
-          mediator.address,
-          [
-            { addr: participant1.address, share: 5000 }, // 50%
-            { addr: participant2.address, share: 5000 }, // 50%
-          ],
-          [
-            { addr: recipient1.address, share: 7000 }, // 70%
-            { addr: recipient2.address, share: 3000 }, // 30%
-          ],
-          [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }], // 1 ETH requerido
-          7000, // Umbral del 70%
-          86400, // Período de funding
-          86400, // Período de confirmación
-          86400 // Período de disputa
-        );
-
-        const receipt = await customEscrow.wait();
-        const escrowAddress = receipt.logs[0].args.escrowAddress;
-        const escrow = await Escrow.attach(escrowAddress);
+        const escrow = await deployAndInitializeEscrow({ confirmationsThreshold: 7000 });
 
         // Dividir etherAmount por 2 usando operaciones BigInt
         const halfEtherAmount = etherAmount / BigInt(2);
@@ -183,7 +342,7 @@ describe("Escrow and EscrowFactory", function () {
         await ethers.provider.send("evm_mine");
 
         // Iniciar disputa
-        await escrow.connect(participant1).raiseDispute();
+        await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
         expect(await escrow.state()).to.equal(2); // State.DISPUTE
 
         // Resolver disputa
@@ -195,32 +354,13 @@ describe("Escrow and EscrowFactory", function () {
         await escrow.connect(participant1).depositETH({ value: etherAmount });
 
         await expect(
-          escrow.connect(participant1).raiseDispute()
+          escrow.connect(participant1).raiseDispute("Delivery not confirmed")
         ).to.be.revertedWith("Confirmation period not ended");
       });
 
       it("should not allow duplicate confirmations", async function () {
         // Crear un escrow con umbral de confirmación del 50%
-        const customEscrow = await escrowFactory.createEscrow(
-          mediator.address,
-          [
-            { addr: participant1.address, share: 5000 }, // 50%
-            { addr: participant2.address, share: 5000 }, // 50%
-          ],
-          [
-            { addr: recipient1.address, share: 7000 }, // 70%
-            { addr: recipient2.address, share: 3000 }, // 30%
-          ],
-          [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }], // 1 ETH requerido
-          7000, // Umbral del 50%
-          86400, // Período de funding
-          86400, // Período de confirmación
-          86400 // Período de disputa
-        );
-
-        const receipt = await customEscrow.wait();
-        const escrowAddress = receipt.logs[0].args.escrowAddress;
-        const escrow = await Escrow.attach(escrowAddress);
+        const escrow = await deployAndInitializeEscrow({ confirmationsThreshold: 7000 });
 
         // Ambos participantes aportan el monto requerido
         const halfEtherAmount = etherAmount / BigInt(2);
@@ -304,26 +444,12 @@ describe("Escrow and EscrowFactory", function () {
         const recipients = [
           { addr: recipient1.address, share: 10000 }   // 100%
         ];
-        const assets = [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }];
 
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
+        const attachedEscrow = await deployAndInitializeEscrow({
           participants,
           recipients,
-          assets,
-          7000, // Umbral de confirmaciones (70%)
-          86400,
-          86400,
-          86400
-        );
-
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-
-        if (!event) throw new Error("EscrowCreated event not found");
-        const attachedEscrow = await Escrow.attach(event.args.escrowAddress);
+          confirmationsThreshold: 7000, // Umbral de confirmaciones (70%)
+        });
 
         // Depositar el monto total
         await attachedEscrow.connect(participant1).depositETH({ value: etherAmount });
@@ -351,24 +477,11 @@ describe("Escrow and EscrowFactory", function () {
         ];
         const assets = [{ token: ethers.ZeroAddress, requiredAmount }];
 
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
+        const attachedEscrow = await deployAndInitializeEscrow({
           participants,
           recipients,
           assets,
-          5000,
-          86400,
-          86400,
-          86400
-        );
-
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-
-        if (!event) throw new Error("EscrowCreated event not found");
-        const attachedEscrow = await Escrow.attach(event.args.escrowAddress);
+        });
 
         // Participant1 realiza el primer depósito
         await attachedEscrow.connect(participant1).depositETH({ value: smallDeposit });
@@ -389,15 +502,15 @@ describe("Escrow and EscrowFactory", function () {
         expect(await escrow.mediator()).to.equal(mediator.address);
 
         // Cambiar el mediador
-        await escrow.connect(mediator).changeMediator(participant1.address);
+        await escrow.connect(mediator).changeMediator(mediator.address, participant1.address);
 
         // Verificar que el mediador se haya actualizado correctamente
         expect(await escrow.mediator()).to.equal(participant1.address);
 
         // Intentar cambiar el mediador con una cuenta no autorizada
         await expect(
-          escrow.connect(participant2).changeMediator(participant2.address)
-        ).to.be.revertedWith("Not mediator");
+          escrow.connect(recipient2).changeMediator(participant1.address, recipient2.address)
+        ).to.be.revertedWith("Not mediator or participant");
 
         // Verificar que el mediador no cambió después del intento fallido
         expect(await escrow.mediator()).to.equal(participant1.address);
@@ -434,29 +547,35 @@ describe("Escrow and EscrowFactory", function () {
         await ethers.provider.send("evm_increaseTime", [86400]); // Avanzar el tiempo
         await ethers.provider.send("evm_mine");
 
-        const tx = await escrow.connect(participant1).raiseDispute();
+        const tx = await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
 
         // Verificar que el evento `DisputeRaised` se emitió correctamente
         await expect(tx)
           .to.emit(escrow, "DisputeRaised")
-          .withArgs(participant1.address); // Verifica quién levantó la disputa
+          .withArgs(participant1.address, "Delivery not confirmed"); // Quién levantó la disputa y por qué
       });
 
-      it("should emit FundsAllocated event when funds are distributed to recipients", async function () {
+      it("should emit FundsAllocatedToRecipients event when funds are distributed to recipients", async function () {
         // Depositar fondos y confirmar
         await escrow.connect(participant1).depositETH({ value: etherAmount });
         const tx = await escrow.connect(participant1).confirm();
 
+        // Se asigna el total en bloque; la parte de cada receptor se calcula al retirar
+        await expect(tx)
+          .to.emit(escrow, "FundsAllocatedToRecipients")
+          .withArgs(etherAmount, ethers.ZeroAddress);
+        await expect(tx).to.not.emit(escrow, "FundsAllocated");
+
         // Verificar que los fondos se asignaron correctamente a los receptores
         const recipient1Share = ethers.parseEther("0.7"); // 70% de 1 ETH
         const recipient2Share = ethers.parseEther("0.3"); // 30% de 1 ETH
 
-        await expect(tx)
-          .to.emit(escrow, "FundsAllocated")
-          .withArgs(recipient1.address, recipient1Share, ethers.ZeroAddress);
-        await expect(tx)
-          .to.emit(escrow, "FundsAllocated")
-          .withArgs(recipient2.address, recipient2Share, ethers.ZeroAddress);
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(recipient1Share);
+        expect(
+          await escrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(recipient2Share);
       });
 
       it("should emit Withdrawn event on successful withdrawal", async function () {
@@ -504,7 +623,7 @@ describe("Escrow and EscrowFactory", function () {
         await ethers.provider.send("evm_mine");
 
         // Iniciar una disputa
-        await escrow.connect(participant1).raiseDispute();
+        await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
 
         // Intentar resolver la disputa con una cuenta no autorizada
         await expect(
@@ -515,8 +634,8 @@ describe("Escrow and EscrowFactory", function () {
 
       it("should revert if a non-mediator tries to change the mediator", async function () {
         await expect(
-          escrow.connect(participant1).changeMediator(participant1.address)
-        ).to.be.revertedWith("Not mediator");
+          escrow.connect(recipient1).changeMediator(mediator.address, recipient1.address)
+        ).to.be.revertedWith("Not mediator or participant");
       });
 
       it("should revert if a non-participant tries to confirm", async function () {
@@ -548,24 +667,12 @@ describe("Escrow and EscrowFactory", function () {
         const recipients = [{ addr: recipient1.address, share: 10000 }]; // 100% share
         const assets = [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }];
 
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
+        const minimalEscrow = await deployAndInitializeEscrow({
           participants,
           recipients,
           assets,
-          10000, // 100% confirmations threshold
-          86400,
-          86400,
-          86400
-        );
-
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-
-        if (!event) throw new Error("EscrowCreated event not found");
-        const minimalEscrow = await Escrow.attach(event.args.escrowAddress);
+          confirmationsThreshold: 10000, // 100% confirmations threshold
+        });
 
         // Participant deposits funds
         await minimalEscrow.connect(participant1).depositETH({ value: etherAmount });
@@ -639,24 +746,12 @@ describe("Escrow and EscrowFactory", function () {
 
         const assets = [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }];
 
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
-          participants.map(({ addr, share }) => ({ addr, share })),
-          recipients.map(({ addr, share }) => ({ addr, share })),
+        const largeEscrow = await deployAndInitializeEscrow({
+          participants: participants.map(({ addr, share }) => ({ addr, share })),
+          recipients: recipients.map(({ addr, share }) => ({ addr, share })),
           assets,
-          5000, // 50% confirmations threshold
-          86400,
-          86400,
-          86400
-        );
-
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-
-        if (!event) throw new Error("EscrowCreated event not found");
-        const largeEscrow = await Escrow.attach(event.args.escrowAddress);
+          confirmationsThreshold: 5000, // 50% confirmations threshold
+        });
 
         // El primer participante deposita fondos
         await largeEscrow.connect(signers[0]).depositETH({ value: etherAmount });
@@ -696,24 +791,12 @@ describe("Escrow and EscrowFactory", function () {
         const recipients = [{ addr: recipient1.address, share: 10000 }];
 
         // Create an escrow
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
+        const multiAssetEscrow = await deployAndInitializeEscrow({
           participants,
           recipients,
           assets,
-          10000,
-          86400,
-          86400,
-          86400
-        );
-
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-
-        if (!event) throw new Error("EscrowCreated event not found");
-        const multiAssetEscrow = await Escrow.attach(event.args.escrowAddress);
+          confirmationsThreshold: 10000,
+        });
 
         // Approve the Escrow contract to spend participant1's tokens
         await mockToken.connect(participant1).approve(multiAssetEscrow.target, ethers.parseEther("10"));
@@ -752,24 +835,7 @@ describe("Escrow and EscrowFactory", function () {
           { token: ethers.ZeroAddress, requiredAmount: ethers.parseEther("1") },
         ];
       
-        const tx = await escrowFactory.createEscrow(
-          mediator.address,
-          participants,
-          recipients,
-          assets,
-          5000,
-          86400,
-          86400,
-          86400
-        );
-      
-        const receipt = await tx.wait();
-        const event = receipt.logs
-          .map((log) => escrowFactory.interface.parseLog(log))
-          .find((parsedLog) => parsedLog.name === "EscrowCreated");
-      
-        if (!event) throw new Error("EscrowCreated event not found");
-        const escrowContract = await Escrow.attach(event.args.escrowAddress);
+        const escrowContract = await deployAndInitializeEscrow({ participants, recipients, assets });
       
         // **1. Depósitos de los participantes**
         const depositAmount = ethers.parseEther("0.5");
@@ -788,5 +854,3288 @@ describe("Escrow and EscrowFactory", function () {
       });
     });
 
+    describe("Milestone Cases", function () {
+      // Escrow con dos hitos: 30% (diseño) y 70% (entrega)
+      async function deployMilestoneEscrow(milestones) {
+        return deployAndInitializeEscrow({ milestones });
+      }
+
+      const twoMilestones = [
+        { share: 3000, confirmationPeriod: 3600 },
+        { share: 7000, confirmationPeriod: 0 }, // Usa el confirmationPeriod general
+      ];
+
+      it("should release milestones in order", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        // Primer hito: se libera el 30% y el escrow sigue abierto
+        await expect(milestoneEscrow.connect(participant1).confirm())
+          .to.emit(milestoneEscrow, "MilestoneReleased")
+          .withArgs(0);
+        expect(await milestoneEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect(await milestoneEscrow.currentMilestone()).to.equal(1);
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.21"));
+
+        // Los receptores pueden retirar lo liberado antes de la resolución
+        await expect(
+          milestoneEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        )
+          .to.emit(milestoneEscrow, "Withdrawn")
+          .withArgs(recipient1.address, ethers.parseEther("0.21"), ethers.ZeroAddress);
+
+        // Segundo hito: se libera el resto y se resuelve
+        await milestoneEscrow.connect(participant1).confirm();
+        expect(await milestoneEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.49"));
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.3"));
+      });
+
+      it("should require fresh confirmations for each milestone", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        await milestoneEscrow.connect(participant1).confirm();
+        expect(await milestoneEscrow.hasConfirmed(participant1.address)).to.equal(false);
+        expect(await milestoneEscrow.confirmationsWeight()).to.equal(0);
+        expect(
+          await milestoneEscrow.milestoneConfirmations(0, participant1.address)
+        ).to.equal(true);
+      });
+
+      it("should use each milestone's confirmation deadline for disputes", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        // El primer hito vence en 1 hora
+        await ethers.provider.send("evm_increaseTime", [3601]);
+        await ethers.provider.send("evm_mine");
+        await milestoneEscrow.connect(participant1).raiseDispute("Delivery not confirmed");
+        expect(await milestoneEscrow.state()).to.equal(2); // State.DISPUTE
+      });
+
+      it("should refund only the unreleased remainder", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        const halfEtherAmount = etherAmount / BigInt(2);
+        await milestoneEscrow.connect(participant1).depositETH({ value: halfEtherAmount });
+        await milestoneEscrow.connect(participant2).depositETH({ value: halfEtherAmount });
+        await milestoneEscrow.connect(participant1).confirm();
+
+        // Vence el segundo hito sin confirmaciones
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await milestoneEscrow.forceRefund();
+
+        expect(await milestoneEscrow.state()).to.equal(4); // State.REFUNDED
+        expect(
+          await milestoneEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.35"));
+        expect(
+          await milestoneEscrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.35"));
+        // Lo liberado en el primer hito sigue perteneciendo a los receptores
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.09"));
+      });
+
+      it("should let the mediator release the remainder to recipients", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await milestoneEscrow.connect(participant1).confirm();
+
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await milestoneEscrow.connect(participant2).raiseDispute("Delivery not confirmed");
+        await milestoneEscrow.connect(mediator).resolveDisputeToRecipients();
+
+        expect(await milestoneEscrow.state()).to.equal(3); // State.RESOLVED
+        const asset = await milestoneEscrow.assets(0);
+        expect(asset.releasedAmount).to.equal(etherAmount);
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+      });
+
+      it("should report milestones in getEscrowDetails", async function () {
+        const milestoneEscrow = await deployMilestoneEscrow(twoMilestones);
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await milestoneEscrow.connect(participant1).confirm();
+
+        const details = await escrowFactory.getEscrowDetails(milestoneEscrow.target);
+        expect(details.milestoneShares).to.deep.equal([3000n, 7000n]);
+        expect(details.milestoneConfirmationPeriods).to.deep.equal([3600n, 0n]);
+        expect(details.currentMilestone_).to.equal(1);
+        expect(details.assetReleasedAmounts[0]).to.equal(ethers.parseEther("0.3"));
+      });
+
+      it("should revert if milestone shares do not sum to 10000", async function () {
+        await expect(
+          deployMilestoneEscrow([
+            { share: 3000, confirmationPeriod: 0 },
+            { share: 3000, confirmationPeriod: 0 },
+          ])
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidMilestonesSum")
+          .withArgs(6000);
+      });
+    });
+
+    describe("Contribution Quota Cases", function () {
+      async function deployQuotaEscrow(options, threshold = 5000) {
+        return deployAndInitializeEscrow({
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          confirmationsThreshold: threshold,
+          options,
+        });
+      }
+
+      it("should reject deposits from non-participants", async function () {
+        await expect(
+          escrow.connect(recipient1).depositETH({ value: etherAmount })
+        ).to.be.revertedWith("Not a participant");
+        await expect(
+          escrow.connect(participant1).depositETHFor(recipient1.address, { value: etherAmount })
+        ).to.be.revertedWith("Not a participant");
+      });
+
+      it("should credit deposits made on behalf of a participant", async function () {
+        await expect(
+          escrow.connect(owner).depositETHFor(participant2.address, { value: etherAmount })
+        )
+          .to.emit(escrow, "Deposited")
+          .withArgs(participant2.address, ethers.ZeroAddress, etherAmount);
+
+        expect(await escrow.deposits(participant2.address, ethers.ZeroAddress)).to.equal(etherAmount);
+        expect(await escrow.deposits(owner.address, ethers.ZeroAddress)).to.equal(0);
+      });
+
+      it("should let one participant fund everything unless quotas are enabled", async function () {
+        // Las cuotas son opcionales: por defecto no se exige el aporte de cada uno
+        expect(await escrow.enforceQuotas()).to.equal(false);
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        expect(await escrow.deposits(participant2.address, ethers.ZeroAddress)).to.equal(0);
+        expect(await escrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should require every participant to meet a quota derived from shares", async function () {
+        const quotaEscrow = await deployQuotaEscrow({ enforceQuotas: true });
+        const halfEtherAmount = etherAmount / BigInt(2);
+        expect(
+          await quotaEscrow.expectedContributions(participant1.address, ethers.ZeroAddress)
+        ).to.equal(halfEtherAmount);
+
+        // participant1 intenta cubrir el total, pero solo se acepta su cuota
+        await quotaEscrow.connect(participant1).depositETH({ value: etherAmount });
+        expect(await quotaEscrow.deposits(participant1.address, ethers.ZeroAddress)).to.equal(halfEtherAmount);
+        expect(await quotaEscrow.state()).to.equal(0); // State.INIT
+
+        await quotaEscrow.connect(participant2).depositETH({ value: halfEtherAmount });
+        expect(await quotaEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should accept explicit quotas", async function () {
+        const quotaEscrow = await deployQuotaEscrow({
+          quotas: [
+            { participant: participant1.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.8") },
+            { participant: participant2.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.2") },
+          ],
+        });
+        expect(await quotaEscrow.enforceQuotas()).to.equal(true);
+
+        await quotaEscrow.connect(participant1).depositETH({ value: ethers.parseEther("0.8") });
+        await quotaEscrow.connect(participant2).depositETH({ value: ethers.parseEther("0.1") });
+        expect(await quotaEscrow.state()).to.equal(0); // State.INIT
+
+        await quotaEscrow.connect(participant2).depositETH({ value: ethers.parseEther("0.1") });
+        expect(await quotaEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should revert if explicit quotas do not cover the required amount", async function () {
+        await expect(
+          deployQuotaEscrow({
+            quotas: [
+              { participant: participant1.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.5") },
+            ],
+          })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidQuotaSum")
+          .withArgs(ethers.ZeroAddress, ethers.parseEther("0.5"));
+      });
+
+      it("should weight confirmations by actual deposits when configured", async function () {
+        const weightedEscrow = await deployQuotaEscrow({ weightByDeposits: true }, 6000);
+        await weightedEscrow.connect(participant1).depositETH({ value: ethers.parseEther("0.2") });
+        await weightedEscrow.connect(participant2).depositETH({ value: ethers.parseEther("0.8") });
+
+        // Por shares participant2 solo tendría el 50%, pero aportó el 80% de los fondos
+        await weightedEscrow.connect(participant2).confirm();
+        expect(await weightedEscrow.state()).to.equal(3); // State.RESOLVED
+      });
+    });
+
+    describe("Overfunding Cases", function () {
+      it("should cap ETH deposits and credit the excess to the depositor", async function () {
+        const tx = await escrow
+          .connect(participant1)
+          .depositETH({ value: ethers.parseEther("1.5") });
+
+        await expect(tx)
+          .to.emit(escrow, "Deposited")
+          .withArgs(participant1.address, ethers.ZeroAddress, etherAmount);
+        await expect(tx)
+          .to.emit(escrow, "ExcessReturned")
+          .withArgs(participant1.address, ethers.parseEther("0.5"), ethers.ZeroAddress);
+
+        const asset = await escrow.assets(0);
+        expect(asset.depositedAmount).to.equal(etherAmount);
+        expect(await escrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+
+        // El excedente se puede retirar sin esperar a la resolución
+        await expect(escrow.connect(participant1).withdraw(ethers.ZeroAddress))
+          .to.emit(escrow, "Withdrawn")
+          .withArgs(participant1.address, ethers.parseEther("0.5"), ethers.ZeroAddress);
+
+        // Los receptores solo reciben lo requerido
+        await escrow.connect(participant1).confirm();
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+      });
+
+      it("should credit tokens beyond the remaining amount to the depositor", async function () {
+        const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+        const mockToken = await ERC20Mock.deploy("Mock Token", "MCK", ethers.parseEther("1000"));
+        await mockToken.transfer(participant1.address, ethers.parseEther("20"));
+
+        const tokenEscrow = await deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          assets: [
+            { token: ethers.ZeroAddress, requiredAmount: etherAmount },
+            { token: mockToken.target, requiredAmount: ethers.parseEther("10") },
+          ],
+          confirmationsThreshold: 10000,
+        });
+
+        await mockToken.connect(participant1).approve(tokenEscrow.target, ethers.parseEther("20"));
+        await tokenEscrow.connect(participant1).depositToken(mockToken.target, ethers.parseEther("20"));
+
+        expect((await tokenEscrow.assets(1)).depositedAmount).to.equal(ethers.parseEther("10"));
+        expect(
+          await tokenEscrow.balancesToWithdraw(participant1.address, mockToken.target)
+        ).to.equal(ethers.parseEther("10"));
+        await tokenEscrow.connect(participant1).withdraw(mockToken.target);
+        expect(await mockToken.balanceOf(tokenEscrow.target)).to.equal(ethers.parseEther("10"));
+        expect(await mockToken.balanceOf(participant1.address)).to.equal(ethers.parseEther("10"));
+
+        // El asset ya está fondeado aunque falte el ETH
+        await expect(
+          tokenEscrow.connect(participant1).depositToken(mockToken.target, ethers.parseEther("1"))
+        ).to.be.revertedWith("Asset already funded");
+      });
+
+      it("should let the mediator sweep ETH sent directly to the contract", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await owner.sendTransaction({ to: escrow.target, value: ethers.parseEther("0.25") });
+
+        await expect(
+          escrow.connect(participant1).sweep(ethers.ZeroAddress)
+        ).to.be.revertedWith("Not mediator");
+
+        // Lo recuperado va al propietario del factory, no a quien llama
+        const tx = escrow.connect(mediator).sweep(ethers.ZeroAddress);
+        await expect(tx)
+          .to.emit(escrow, "Swept")
+          .withArgs(owner.address, ethers.parseEther("0.25"), ethers.ZeroAddress);
+        await expect(tx).to.changeEtherBalances(
+          [owner, mediator],
+          [ethers.parseEther("0.25"), 0]
+        );
+
+        // Los fondos depositados siguen intactos
+        expect(await ethers.provider.getBalance(escrow.target)).to.equal(etherAmount);
+        await expect(
+          escrow.connect(mediator).sweep(ethers.ZeroAddress)
+        ).to.be.revertedWith("Nothing to sweep");
+      });
+
+      it("should let the mediator sweep tokens transferred without depositing", async function () {
+        const ERC20Mock = await ethers.getContractFactory("ERC20Mock");
+        const mockToken = await ERC20Mock.deploy("Mock Token", "MCK", ethers.parseEther("1000"));
+        await mockToken.transfer(escrow.target, ethers.parseEther("3"));
+
+        await expect(escrow.connect(mediator).sweep(mockToken.target))
+          .to.emit(escrow, "Swept")
+          .withArgs(owner.address, ethers.parseEther("3"), mockToken.target);
+        expect(await mockToken.balanceOf(escrow.target)).to.equal(0);
+      });
+    });
+
+    describe("Split Ruling Cases", function () {
+      beforeEach(async function () {
+        // Ambos participantes aportan la mitad y se llega a disputa
+        const halfEtherAmount = etherAmount / BigInt(2);
+        await escrow.connect(participant1).depositETH({ value: halfEtherAmount });
+        await escrow.connect(participant2).depositETH({ value: halfEtherAmount });
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
+      });
+
+      it("should split the remainder between recipients and participants", async function () {
+        const tx = await escrow.connect(mediator).resolveDisputeWithSplit(6000, []);
+
+        await expect(tx).to.emit(escrow, "SplitRuling").withArgs(mediator.address, 6000, []);
+        await expect(tx).to.emit(escrow, "ResolvedByMediator").withArgs(mediator.address);
+        expect(await escrow.state()).to.equal(3); // State.RESOLVED
+
+        // 60% para receptores (70/30) y 40% para participantes (50/50)
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.42"));
+        expect(
+          await escrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.18"));
+        expect(
+          await escrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.2"));
+        expect(
+          await escrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.2"));
+      });
+
+      it("should apply explicit allocations before the proportional split", async function () {
+        const allocations = [
+          { account: participant2.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.1") },
+        ];
+        const tx = await escrow.connect(mediator).resolveDisputeWithSplit(10000, allocations);
+
+        // La ruling se puede decodificar desde el log
+        const receipt = await tx.wait();
+        const ruling = receipt.logs
+          .map((log) => escrow.interface.parseLog(log))
+          .find((parsedLog) => parsedLog && parsedLog.name === "SplitRuling");
+        expect(ruling.args.allocations[0].account).to.equal(participant2.address);
+        expect(ruling.args.allocations[0].amount).to.equal(ethers.parseEther("0.1"));
+
+        expect(
+          await escrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.1"));
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.63"));
+        expect(
+          await escrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.27"));
+      });
+
+      it("should revert if explicit allocations exceed deposited funds", async function () {
+        await expect(
+          escrow.connect(mediator).resolveDisputeWithSplit(0, [
+            { account: participant1.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.6") },
+            { account: participant2.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.6") },
+          ])
+        ).to.be.revertedWith("Split exceeds deposited funds");
+      });
+
+      it("should only allocate explicit amounts to participants and recipients", async function () {
+        const outsiders = [mediator.address, owner.address];
+        for (const account of outsiders) {
+          await expect(
+            escrow.connect(mediator).resolveDisputeWithSplit(0, [
+              { account, token: ethers.ZeroAddress, amount: etherAmount },
+            ])
+          ).to.be.revertedWith("Split account not a party");
+        }
+        expect(await escrow.state()).to.equal(2); // State.DISPUTE
+      });
+
+      it("should revert on an invalid split share", async function () {
+        await expect(
+          escrow.connect(mediator).resolveDisputeWithSplit(10001, [])
+        ).to.be.revertedWith("Invalid split");
+      });
+
+      it("should revert if a non-mediator tries to split", async function () {
+        await expect(
+          escrow.connect(participant1).resolveDisputeWithSplit(5000, [])
+        ).to.be.revertedWith("Not mediator");
+      });
+    });
+
+    describe("Fee Cases", function () {
+      let feeCollector;
+
+      beforeEach(async function () {
+        feeCollector = (await ethers.getSigners())[6];
+      });
+
+      async function deployFeeEscrow(options, requiredAmount = etherAmount) {
+        return deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          assets: [{ token: ethers.ZeroAddress, requiredAmount }],
+          confirmationsThreshold: 10000,
+          options,
+        });
+      }
+
+      it("should only let the factory owner set the protocol fee", async function () {
+        await expect(
+          escrowFactory.connect(participant1).setProtocolFee(100, feeCollector.address)
+        ).to.be.revertedWith("Not owner");
+
+        await expect(escrowFactory.setProtocolFee(100, feeCollector.address))
+          .to.emit(escrowFactory, "ProtocolFeeUpdated")
+          .withArgs(100, feeCollector.address);
+        await expect(
+          escrowFactory.setProtocolFee(100, ethers.ZeroAddress)
+        ).to.be.revertedWith("Invalid fee recipient");
+      });
+
+      it("should deduct the protocol fee when releasing funds", async function () {
+        await escrowFactory.setProtocolFee(100, feeCollector.address); // 1%
+        const feeEscrow = await deployFeeEscrow({});
+        await feeEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        await expect(feeEscrow.connect(participant1).confirm())
+          .to.emit(feeEscrow, "FeeCharged")
+          .withArgs(feeCollector.address, ethers.parseEther("0.01"), ethers.ZeroAddress);
+
+        expect(
+          await feeEscrow.balancesToWithdraw(feeCollector.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.01"));
+        expect(
+          await feeEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.693"));
+        expect(
+          await feeEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.297"));
+      });
+
+      it("should snapshot the protocol fee at creation", async function () {
+        const feeEscrow = await deployFeeEscrow({});
+        await escrowFactory.setProtocolFee(100, feeCollector.address);
+        expect(await feeEscrow.protocolFee()).to.equal(0);
+      });
+
+      it("should charge the mediator fee only on dispute rulings by default", async function () {
+        const feeEscrow = await deployFeeEscrow({ mediatorFee: 500 }); // 5%
+        await feeEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await feeEscrow.connect(participant1).raiseDispute("Delivery not confirmed");
+        await feeEscrow.connect(mediator).resolveDisputeRefundAll();
+
+        expect(await feeEscrow.resolvedByMediator()).to.equal(true);
+        expect(
+          await feeEscrow.balancesToWithdraw(mediator.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.05"));
+        expect(
+          await feeEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.95"));
+      });
+
+      it("should not charge the mediator fee when the mediator did not rule", async function () {
+        const feeEscrow = await deployFeeEscrow({ mediatorFee: 500 });
+        await feeEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await feeEscrow.connect(participant1).confirm();
+
+        expect(
+          await feeEscrow.balancesToWithdraw(mediator.address, ethers.ZeroAddress)
+        ).to.equal(0);
+        expect(
+          await feeEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+      });
+
+      it("should always charge the mediator fee when configured", async function () {
+        const feeEscrow = await deployFeeEscrow({ mediatorFee: 500, chargeMediatorFeeAlways: true });
+        await feeEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await feeEscrow.connect(participant1).confirm();
+
+        expect(
+          await feeEscrow.balancesToWithdraw(mediator.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.05"));
+      });
+
+      it("should round fees down in favour of the parties", async function () {
+        await escrowFactory.setProtocolFee(250, feeCollector.address); // 2.5%
+        const feeEscrow = await deployFeeEscrow(
+          { mediatorFee: 100, chargeMediatorFeeAlways: true }, // 1%
+          999n
+        );
+        await feeEscrow.connect(participant1).depositETH({ value: 999n });
+        await feeEscrow.connect(participant1).confirm();
+
+        // 999 * 2.5% = 24.975 -> 24 y 999 * 1% = 9.99 -> 9
+        expect(
+          await feeEscrow.balancesToWithdraw(feeCollector.address, ethers.ZeroAddress)
+        ).to.equal(24n);
+        expect(
+          await feeEscrow.balancesToWithdraw(mediator.address, ethers.ZeroAddress)
+        ).to.equal(9n);
+        // Quedan 966 para los receptores: 70% -> 676 y 30% -> 289, y el receptor
+        // con mayor share se queda la unidad restante
+        expect(
+          await feeEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(677n);
+        expect(
+          await feeEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(289n);
+      });
+
+      it("should revert if fees exceed 10000", async function () {
+        await escrowFactory.setProtocolFee(6000, feeCollector.address);
+        await expect(
+          deployFeeEscrow({ mediatorFee: 5000 })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "FeesExceedLimit")
+          .withArgs(5000, 6000);
+      });
+    });
+
+    describe("Signed Confirmation Cases", function () {
+      let unanimousEscrow, deadline;
+
+      beforeEach(async function () {
+        // Escrow que requiere el 100% de confirmaciones
+        unanimousEscrow = await deployAndInitializeEscrow({
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          confirmationsThreshold: 10000,
+        });
+
+        await unanimousEscrow.connect(participant1).depositETH({ value: etherAmount });
+        const block = await ethers.provider.getBlock("latest");
+        deadline = block.timestamp + 3600;
+      });
+
+      it("should relay several signed confirmations in one transaction", async function () {
+        const signatures = [
+          await signConfirmation(participant1, unanimousEscrow, deadline),
+          await signConfirmation(participant2, unanimousEscrow, deadline),
+        ];
+
+        // Un tercero sin fondos en el escrow paga el gas
+        const tx = await unanimousEscrow.connect(owner).confirmWithSignatures(signatures);
+        await expect(tx).to.emit(unanimousEscrow, "Confirmed").withArgs(participant1.address);
+        await expect(tx).to.emit(unanimousEscrow, "Confirmed").withArgs(participant2.address);
+
+        expect(await unanimousEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(await unanimousEscrow.nonces(participant1.address)).to.equal(1);
+      });
+
+      it("should not accept a replayed signature", async function () {
+        const signature = await signConfirmation(participant1, unanimousEscrow, deadline);
+        await unanimousEscrow.confirmWithSignatures([signature]);
+
+        await expect(
+          unanimousEscrow.confirmWithSignatures([signature])
+        ).to.be.revertedWith("Invalid signature");
+      });
+
+      it("should not count a participant twice", async function () {
+        await unanimousEscrow.connect(participant1).confirm();
+        const signature = await signConfirmation(participant1, unanimousEscrow, deadline);
+
+        await expect(
+          unanimousEscrow.confirmWithSignatures([signature])
+        ).to.be.revertedWith("Already confirmed");
+      });
+
+      it("should reject expired signatures", async function () {
+        const signature = await signConfirmation(participant1, unanimousEscrow, deadline);
+        await ethers.provider.send("evm_increaseTime", [3601]);
+        await ethers.provider.send("evm_mine");
+
+        await expect(
+          unanimousEscrow.confirmWithSignatures([signature])
+        ).to.be.revertedWith("Signature expired");
+      });
+
+      it("should reject signatures from someone other than the participant", async function () {
+        const { chainId } = await ethers.provider.getNetwork();
+        const { domain, types, message } = buildConfirmTypedData({
+          escrow: unanimousEscrow.target,
+          participant: participant1.address,
+          milestone: 0,
+          nonce: 0,
+          deadline,
+          chainId,
+        });
+        const signature = await recipient1.signTypedData(domain, types, message);
+
+        await expect(
+          unanimousEscrow.confirmWithSignatures([
+            { participant: participant1.address, deadline, signature },
+          ])
+        ).to.be.revertedWith("Invalid signature");
+      });
+
+      it("should apply the same state checks as confirm()", async function () {
+        const signature = await signConfirmation(participant1, escrow, deadline);
+        await expect(
+          escrow.confirmWithSignatures([signature])
+        ).to.be.revertedWith("Invalid state");
+      });
+    });
+
+    describe("Token Safety Cases", function () {
+      const tokenAmount = ethers.parseEther("100");
+
+      async function deployTokenEscrow(token) {
+        const tokenEscrow = await deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          assets: [{ token: token.target, requiredAmount: tokenAmount }],
+          confirmationsThreshold: 10000,
+        });
+
+        await token.mint(participant1.address, tokenAmount * 2n);
+        await token.connect(participant1).approve(tokenEscrow.target, tokenAmount * 2n);
+        return tokenEscrow;
+      }
+
+      it("should support tokens that return nothing", async function () {
+        const NoReturnTokenMock = await ethers.getContractFactory("NoReturnTokenMock");
+        const token = await NoReturnTokenMock.deploy();
+        const tokenEscrow = await deployTokenEscrow(token);
+
+        await tokenEscrow.connect(participant1).depositToken(token.target, tokenAmount);
+        await tokenEscrow.connect(participant1).confirm();
+        await tokenEscrow.connect(recipient1).withdraw(token.target);
+
+        expect(await token.balanceOf(recipient1.address)).to.equal(ethers.parseEther("70"));
+      });
+
+      it("should revert deposits of tokens that return false", async function () {
+        const FalseReturnTokenMock = await ethers.getContractFactory("FalseReturnTokenMock");
+        const token = await FalseReturnTokenMock.deploy();
+        const tokenEscrow = await deployTokenEscrow(token);
+        await token.setReturnFalse(true);
+
+        await expect(
+          tokenEscrow.connect(participant1).depositToken(token.target, tokenAmount)
+        ).to.be.revertedWith("Token transfer failed");
+      });
+
+      it("should revert withdrawals of tokens that return false", async function () {
+        const FalseReturnTokenMock = await ethers.getContractFactory("FalseReturnTokenMock");
+        const token = await FalseReturnTokenMock.deploy();
+        const tokenEscrow = await deployTokenEscrow(token);
+
+        await tokenEscrow.connect(participant1).depositToken(token.target, tokenAmount);
+        await tokenEscrow.connect(participant1).confirm();
+        await token.setReturnFalse(true);
+
+        await expect(
+          tokenEscrow.connect(recipient1).withdraw(token.target)
+        ).to.be.revertedWith("Token transfer failed");
+        // El saldo no se pierde si la transferencia falla
+        expect(
+          await tokenEscrow.balancesToWithdraw(recipient1.address, token.target)
+        ).to.equal(ethers.parseEther("70"));
+      });
+
+      it("should account fee-on-transfer deposits by the received amount", async function () {
+        const FeeOnTransferTokenMock = await ethers.getContractFactory("FeeOnTransferTokenMock");
+        const token = await FeeOnTransferTokenMock.deploy(100); // 1% por transferencia
+        const tokenEscrow = await deployTokenEscrow(token);
+
+        await expect(
+          tokenEscrow.connect(participant1).depositToken(token.target, tokenAmount)
+        )
+          .to.emit(tokenEscrow, "Deposited")
+          .withArgs(participant1.address, token.target, ethers.parseEther("99"));
+
+        const asset = await tokenEscrow.assets(0);
+        expect(asset.depositedAmount).to.equal(ethers.parseEther("99"));
+        expect(await tokenEscrow.state()).to.equal(0); // State.INIT
+
+        // Enviando de más se cubre la comisión: de los 1.98 recibidos falta 1 y el
+        // resto queda para retirar
+        await expect(
+          tokenEscrow.connect(participant1).depositToken(token.target, ethers.parseEther("2"))
+        )
+          .to.emit(tokenEscrow, "ExcessReturned")
+          .withArgs(participant1.address, ethers.parseEther("0.98"), token.target);
+        expect((await tokenEscrow.assets(0)).depositedAmount).to.equal(tokenAmount);
+        expect(await tokenEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect(
+          await tokenEscrow.balancesToWithdraw(participant1.address, token.target)
+        ).to.equal(ethers.parseEther("0.98"));
+
+        // Lo registrado coincide con el saldo real del contrato
+        expect(await token.balanceOf(tokenEscrow.target)).to.equal(
+          await tokenEscrow.trackedBalances(token.target)
+        );
+      });
+    });
+
+    describe("Permit Deposit Cases", function () {
+      const tokenAmount = ethers.parseEther("100");
+      let token, tokenEscrow, deadline;
+
+      beforeEach(async function () {
+        const PermitTokenMock = await ethers.getContractFactory("PermitTokenMock");
+        token = await PermitTokenMock.deploy("Permit Token");
+        await token.mint(participant1.address, tokenAmount);
+
+        tokenEscrow = await deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          assets: [{ token: token.target, requiredAmount: tokenAmount }],
+          confirmationsThreshold: 10000,
+        });
+
+        const block = await ethers.provider.getBlock("latest");
+        deadline = block.timestamp + 3600;
+      });
+
+      it("should fund with a permit in a single transaction", async function () {
+        const { v, r, s } = await signPermit(participant1, token, tokenEscrow.target, tokenAmount, deadline);
+
+        await expect(
+          tokenEscrow
+            .connect(participant1)
+            .depositTokenWithPermit(token.target, tokenAmount, deadline, v, r, s)
+        )
+          .to.emit(tokenEscrow, "Deposited")
+          .withArgs(participant1.address, token.target, tokenAmount);
+
+        expect(await tokenEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect(await token.nonces(participant1.address)).to.equal(1);
+      });
+
+      it("should still deposit if the permit was already used", async function () {
+        const { v, r, s } = await signPermit(participant1, token, tokenEscrow.target, tokenAmount, deadline);
+
+        // Un tercero envía el permit antes que el participante
+        await token.connect(owner).permit(participant1.address, tokenEscrow.target, tokenAmount, deadline, v, r, s);
+
+        await tokenEscrow
+          .connect(participant1)
+          .depositTokenWithPermit(token.target, tokenAmount, deadline, v, r, s);
+        expect(await tokenEscrow.deposits(participant1.address, token.target)).to.equal(tokenAmount);
+      });
+
+      it("should revert with an invalid permit and no allowance", async function () {
+        const { v, r, s } = await signPermit(participant2, token, tokenEscrow.target, tokenAmount, deadline);
+
+        await expect(
+          tokenEscrow
+            .connect(participant1)
+            .depositTokenWithPermit(token.target, tokenAmount, deadline, v, r, s)
+        ).to.be.revertedWith("Token transfer failed");
+      });
+    });
+
+    describe("Query Cases", function () {
+      // Papeles de Escrow.Role
+      const MEDIATOR = 0;
+      const PARTICIPANT = 1;
+      const RECIPIENT = 2;
+
+      it("should paginate the list of escrows", async function () {
+        const second = await deployAndInitializeEscrow();
+        const third = await deployAndInitializeEscrow();
+
+        expect(await escrowFactory.escrowsCount()).to.equal(3);
+        expect(await escrowFactory.getEscrows(0, 2)).to.deep.equal([
+          escrow.target,
+          second.target,
+        ]);
+        expect(await escrowFactory.getEscrows(1, 10)).to.deep.equal([
+          second.target,
+          third.target,
+        ]);
+        expect(await escrowFactory.getEscrows(3, 10)).to.deep.equal([]);
+      });
+
+      it("should index escrows by mediator, participant and recipient", async function () {
+        const second = await deployAndInitializeEscrow();
+
+        expect(await escrowFactory.escrowsByRoleCount(MEDIATOR, mediator.address)).to.equal(2);
+        expect(
+          await escrowFactory.getEscrowsByRole(PARTICIPANT, participant2.address, 0, 10)
+        ).to.deep.equal([escrow.target, second.target]);
+        expect(
+          await escrowFactory.getEscrowsByRole(RECIPIENT, recipient1.address, 1, 1)
+        ).to.deep.equal([second.target]);
+        expect(
+          await escrowFactory.escrowsByRoleCount(RECIPIENT, participant1.address)
+        ).to.equal(0);
+
+        // Cambiar el mediador mueve el escrow al índice del nuevo mediador
+        await escrow.connect(mediator).changeMediator(mediator.address, owner.address);
+        expect(
+          await escrowFactory.getEscrowsByRole(MEDIATOR, mediator.address, 0, 10)
+        ).to.deep.equal([second.target]);
+        expect(
+          await escrowFactory.getEscrowsByRole(MEDIATOR, owner.address, 0, 10)
+        ).to.deep.equal([escrow.target]);
+      });
+
+      it("should track escrows by state without scanning", async function () {
+        const second = await deployAndInitializeEscrow();
+        expect(await escrowFactory.getEscrowsByState(0, 0, 10)).to.deep.equal([
+          escrow.target,
+          second.target,
+        ]);
+
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        expect(await escrowFactory.getEscrowsByState(0, 0, 10)).to.deep.equal([second.target]);
+        expect(await escrowFactory.getEscrowsByState(1, 0, 10)).to.deep.equal([escrow.target]);
+
+        await ethers.provider.send("evm_increaseTime", [86400]);
+        await ethers.provider.send("evm_mine");
+        await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
+        expect(await escrowFactory.getEscrowsInDispute()).to.deep.equal([escrow.target]);
+        expect(await escrowFactory.escrowsByStateCount(1)).to.equal(0);
+
+        await escrow.connect(mediator).resolveDisputeToRecipients();
+        expect(await escrowFactory.getEscrowsInDispute()).to.deep.equal([]);
+        expect(await escrowFactory.getEscrowsByState(3, 0, 10)).to.deep.equal([escrow.target]);
+      });
+
+      it("should return details for many escrows in one call", async function () {
+        const second = await deployAndInitializeEscrow();
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+
+        const details = await escrowFactory.getEscrowDetailsBatch([escrow.target, second.target]);
+        expect(details.length).to.equal(2);
+        expect(details[0].state_).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect(details[0].assetDepositedAmounts).to.deep.equal([etherAmount]);
+        expect(details[1].state_).to.equal(0); // State.INIT
+        expect(details[1].recipients).to.deep.equal([recipient1.address, recipient2.address]);
+      });
+
+      it("should only accept index updates from its own escrows", async function () {
+        await expect(
+          escrowFactory.connect(participant1).onEscrowStateChanged(0, 2)
+        ).to.be.revertedWith("Not an escrow");
+        await expect(
+          escrowFactory
+            .connect(participant1)
+            .onEscrowRoleChanged(MEDIATOR, mediator.address, participant1.address)
+        ).to.be.revertedWith("Not an escrow");
+      });
+    });
+
+    describe("Lazy Allocation Cases", function () {
+      // 60 participantes y 60 receptores: lo más grande que se puede crear dentro del
+      // límite de gas por transacción (2^24, EIP-7825)
+      const partyCounts = [2, 60];
+      const transactionGasCap = 2n ** 24n;
+
+      // Escrow con participant1 y recipient1 como partes principales y el resto de
+      // participantes y receptores con share mínimo
+      async function createWideEscrow(partyCount) {
+        const participants = [{ addr: participant1.address, share: 5000 }];
+        const recipients = [{ addr: recipient1.address, share: 10000 - (partyCount - 1) }];
+        for (let i = 1; i < partyCount; i++) {
+          participants.push({ addr: ethers.Wallet.createRandom().address, share: 1 });
+          recipients.push({ addr: ethers.Wallet.createRandom().address, share: 1 });
+        }
+
+        const changes = { participants, recipients, confirmationsThreshold: 4000 };
+        expect(
+          await escrowFactory.createEscrow.estimateGas(...escrowParams(changes))
+        ).to.be.lte(transactionGasCap);
+        return {
+          wide: await deployAndInitializeEscrow(changes),
+          participants: participants.map((p) => p.addr),
+          recipients: recipients.map((r) => r.addr),
+        };
+      }
+
+      it("should keep resolution gas flat with over a hundred parties", async function () {
+        const gasUsed = [];
+        for (const partyCount of partyCounts) {
+          const { wide, recipients } = await createWideEscrow(partyCount);
+          await wide.connect(participant1).depositETH({ value: etherAmount });
+          const receipt = await (await wide.connect(participant1).confirm()).wait();
+          expect(await wide.state()).to.equal(3); // State.RESOLVED
+          gasUsed.push(receipt.gasUsed);
+
+          // Cada receptor sigue viendo su parte aunque no se escribiera al resolver
+          expect(
+            await wide.balancesToWithdraw(recipients[partyCount - 1], ethers.ZeroAddress)
+          ).to.equal(etherAmount / 10000n);
+        }
+
+        expect(gasUsed[1]).to.be.closeTo(gasUsed[0], 25000n);
+      });
+
+      it("should keep refund gas flat with over a hundred parties", async function () {
+        const gasUsed = [];
+        for (const partyCount of partyCounts) {
+          const { wide, participants } = await createWideEscrow(partyCount);
+
+          // Cada participante aporta 1 gwei y participant1 completa el resto
+          const smallDeposit = ethers.parseUnits("1", "gwei");
+          for (const participant of participants.slice(1)) {
+            await wide.connect(owner).depositETHFor(participant, { value: smallDeposit });
+          }
+          const rest = etherAmount - smallDeposit * BigInt(partyCount - 1);
+          await wide.connect(participant1).depositETH({ value: rest });
+
+          await ethers.provider.send("evm_increaseTime", [86401]);
+          await ethers.provider.send("evm_mine");
+          await wide.connect(participant1).raiseDispute("Delivery not confirmed");
+          const receipt = await (await wide.connect(mediator).resolveDisputeRefundAll()).wait();
+          gasUsed.push(receipt.gasUsed);
+
+          expect(
+            await wide.balancesToWithdraw(participants[partyCount - 1], ethers.ZeroAddress)
+          ).to.equal(smallDeposit);
+          expect(
+            await wide.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+          ).to.equal(rest);
+        }
+
+        expect(gasUsed[1]).to.be.closeTo(gasUsed[0], 25000n);
+      });
+
+      it("should pay each party its entitlement only once", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+
+        await expect(
+          escrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(recipient1, ethers.parseEther("0.7"));
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(0);
+        expect(await escrow.withdrawn(recipient1.address, ethers.ZeroAddress)).to.equal(
+          ethers.parseEther("0.7")
+        );
+
+        await expect(
+          escrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.be.revertedWith("Nothing to withdraw");
+
+        // Quien no es parte no tiene nada que retirar
+        expect(
+          await escrow.balancesToWithdraw(owner.address, ethers.ZeroAddress)
+        ).to.equal(0);
+      });
+    });
+
+    describe("Rounding Cases", function () {
+      let signers;
+
+      // Generador pseudoaleatorio con semilla fija para que los casos sean reproducibles
+      let seed;
+      function random(n) {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % n;
+      }
+
+      // Reparte 10000 en count shares positivos
+      function randomShares(count) {
+        const cuts = new Set();
+        while (cuts.size < count - 1) cuts.add(1 + random(9999));
+        const points = [0, ...[...cuts].sort((a, b) => a - b), 10000];
+        return points.slice(1).map((point, i) => point - points[i]);
+      }
+
+      beforeEach(async function () {
+        seed = 42;
+        signers = await ethers.getSigners();
+      });
+
+      async function deployRandomEscrow(amount, mediatorFee) {
+        const participants = signers.slice(8, 8 + 1 + random(4));
+        const recipientSigners = signers.slice(12, 12 + 1 + random(6));
+        const recipientShares = randomShares(recipientSigners.length);
+
+        const roundingEscrow = await deployAndInitializeEscrow({
+          participants: participants.map((p) => ({ addr: p.address, share: 1 + random(5000) })),
+          recipients: recipientSigners.map((r, i) => ({ addr: r.address, share: recipientShares[i] })),
+          assets: [{ token: ethers.ZeroAddress, requiredAmount: amount }],
+          confirmationsThreshold: 1,
+          options: { mediatorFee, chargeMediatorFeeAlways: true },
+        });
+        return {
+          roundingEscrow,
+          participants,
+          recipientSigners,
+        };
+      }
+
+      // Deposita amount repartido al azar entre los participantes
+      async function depositRandomly(roundingEscrow, participants, amount) {
+        let left = amount;
+        for (let i = 0; i < participants.length; i++) {
+          const part =
+            i === participants.length - 1 ? left : (left * BigInt(random(100))) / 100n;
+          if (part > 0n) {
+            await roundingEscrow.connect(participants[i]).depositETH({ value: part });
+            left -= part;
+          }
+        }
+      }
+
+      // Todo lo depositado está asignado y, tras retirar cada uno, no queda nada en el contrato
+      async function expectNoDust(roundingEscrow, accounts, amount) {
+        let allocated = 0n;
+        for (const account of accounts) {
+          allocated += await roundingEscrow.balancesToWithdraw(account.address, ethers.ZeroAddress);
+        }
+        expect(allocated).to.equal(amount);
+
+        for (const account of accounts) {
+          if ((await roundingEscrow.balancesToWithdraw(account.address, ethers.ZeroAddress)) > 0n) {
+            await roundingEscrow.connect(account).withdraw(ethers.ZeroAddress);
+          }
+        }
+        expect(await ethers.provider.getBalance(roundingEscrow.target)).to.equal(0);
+      }
+
+      it("should allocate exactly the deposited amount when resolving to recipients", async function () {
+        await escrowFactory.setProtocolFee(250, signers[7].address);
+        for (let round = 0; round < 8; round++) {
+          const amount = BigInt(1 + random(1000000)) * 7n + 3n;
+          const { roundingEscrow, participants, recipientSigners } = await deployRandomEscrow(
+            amount,
+            random(300)
+          );
+          await depositRandomly(roundingEscrow, participants, amount);
+          await roundingEscrow.connect(participants[0]).confirm();
+          expect(await roundingEscrow.state()).to.equal(3); // State.RESOLVED
+
+          await expectNoDust(
+            roundingEscrow,
+            [...participants, ...recipientSigners, mediator, signers[7]],
+            amount
+          );
+        }
+      });
+
+      it("should refund exactly the deposited amount to participants", async function () {
+        for (let round = 0; round < 8; round++) {
+          const amount = BigInt(1 + random(1000000)) * 11n + 5n;
+          const { roundingEscrow, participants, recipientSigners } = await deployRandomEscrow(
+            amount,
+            random(300)
+          );
+
+          // Fondeo parcial y reembolso al vencer el plazo
+          const deposited = amount - BigInt(1 + random(1000));
+          await depositRandomly(roundingEscrow, participants, deposited);
+          await ethers.provider.send("evm_increaseTime", [86401]);
+          await ethers.provider.send("evm_mine");
+          await roundingEscrow.forceRefund();
+
+          await expectNoDust(
+            roundingEscrow,
+            [...participants, ...recipientSigners, mediator],
+            deposited
+          );
+        }
+      });
+
+      it("should allocate exactly the deposited amount in a split ruling", async function () {
+        for (let round = 0; round < 6; round++) {
+          const amount = BigInt(1 + random(1000000)) * 13n + 1n;
+          const { roundingEscrow, participants, recipientSigners } = await deployRandomEscrow(
+            amount,
+            random(300)
+          );
+          await depositRandomly(roundingEscrow, participants, amount);
+
+          await ethers.provider.send("evm_increaseTime", [86401]);
+          await ethers.provider.send("evm_mine");
+          await roundingEscrow.connect(participants[0]).raiseDispute("Delivery not confirmed");
+          await roundingEscrow.connect(mediator).resolveDisputeWithSplit(random(10001), []);
+
+          await expectNoDust(
+            roundingEscrow,
+            [...participants, ...recipientSigners, mediator],
+            amount
+          );
+        }
+      });
+
+      it("should give the rounding remainder to the largest recipient", async function () {
+        const { roundingEscrow, participants, recipientSigners } = await deployRandomEscrow(
+          1001n,
+          0
+        );
+        await depositRandomly(roundingEscrow, participants, 1001n);
+        await roundingEscrow.connect(participants[0]).confirm();
+
+        const largest = await roundingEscrow.largestRecipient();
+        let largestShare = 0n;
+        for (const r of recipientSigners) {
+          const share = await roundingEscrow.recipientShares(r.address);
+          if (share > largestShare) largestShare = share;
+          if (r.address !== largest) {
+            // Los demás reciben su parte redondeada hacia abajo
+            expect(
+              await roundingEscrow.balancesToWithdraw(r.address, ethers.ZeroAddress)
+            ).to.equal((1001n * share) / 10000n);
+          }
+        }
+        expect(await roundingEscrow.recipientShares(largest)).to.equal(largestShare);
+      });
+    });
+
+    describe("Arbitration Panel Cases", function () {
+      let arbitrator2, arbitrator3;
+
+      beforeEach(async function () {
+        [arbitrator2, arbitrator3] = (await ethers.getSigners()).slice(7, 9);
+      });
+
+      // Escrow con un panel formado por el mediador y dos árbitros más
+      async function deployPanelEscrow(options = {}) {
+        return deployAndInitializeEscrow({
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          options: {
+            arbitrators: [arbitrator2.address, arbitrator3.address],
+            arbitrationQuorum: 2,
+            ...options,
+          },
+        });
+      }
+
+      async function fundAndDispute(panelEscrow) {
+        await panelEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await panelEscrow.connect(participant1).raiseDispute("Delivery not confirmed");
+      }
+
+      it("should execute the ruling once the quorum agrees", async function () {
+        const panelEscrow = await deployPanelEscrow();
+        await fundAndDispute(panelEscrow);
+        const ruling = await panelEscrow.RULING_RECIPIENTS();
+
+        await expect(panelEscrow.connect(mediator).resolveDisputeToRecipients())
+          .to.emit(panelEscrow, "RulingVoted")
+          .withArgs(mediator.address, ruling, 1);
+        await panelEscrow.connect(arbitrator2).resolveDisputeRefundAll();
+        expect(await panelEscrow.state()).to.equal(2); // State.DISPUTE
+
+        await expect(panelEscrow.connect(arbitrator3).resolveDisputeToRecipients())
+          .to.emit(panelEscrow, "ResolvedByMediator")
+          .withArgs(arbitrator3.address);
+        expect(await panelEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await panelEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount);
+      });
+
+      it("should only add up split votes with the same parameters", async function () {
+        const panelEscrow = await deployPanelEscrow();
+        await fundAndDispute(panelEscrow);
+
+        await panelEscrow.connect(mediator).resolveDisputeWithSplit(5000, []);
+        await panelEscrow.connect(arbitrator2).resolveDisputeWithSplit(6000, []);
+        expect(await panelEscrow.state()).to.equal(2); // State.DISPUTE
+
+        await expect(
+          panelEscrow.connect(arbitrator2).resolveDisputeWithSplit(6000, [])
+        ).to.be.revertedWith("Already voted");
+
+        // Cambiar el voto resta del anterior y suma al nuevo
+        await panelEscrow.connect(arbitrator2).resolveDisputeWithSplit(5000, []);
+        expect(await panelEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await panelEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount / 2n);
+        expect(
+          await panelEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount / 2n);
+      });
+
+      it("should not accept votes after the dispute period", async function () {
+        const panelEscrow = await deployPanelEscrow();
+        await fundAndDispute(panelEscrow);
+        await panelEscrow.connect(mediator).resolveDisputeToRecipients();
+
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await expect(
+          panelEscrow.connect(arbitrator2).resolveDisputeToRecipients()
+        ).to.be.revertedWith("Dispute period expired");
+        await expect(
+          panelEscrow.connect(recipient1).resolveDisputeToRecipients()
+        ).to.be.revertedWith("Not mediator");
+      });
+
+      it("should expose the panel and the vote tally in getEscrowDetails", async function () {
+        const panelEscrow = await deployPanelEscrow();
+        await fundAndDispute(panelEscrow);
+        await panelEscrow.connect(mediator).resolveDisputeRefundAll();
+        await panelEscrow.connect(arbitrator3).resolveDisputeWithSplit(2500, []);
+
+        const details = await escrowFactory.getEscrowDetails(panelEscrow.target);
+        expect(details.arbitrators_).to.deep.equal([
+          mediator.address,
+          arbitrator2.address,
+          arbitrator3.address,
+        ]);
+        expect(details.arbitrationQuorum_).to.equal(2);
+        expect(details.arbitratorVotes).to.deep.equal([
+          await panelEscrow.RULING_REFUND(),
+          ethers.ZeroHash,
+          ethers.keccak256(
+            ethers.AbiCoder.defaultAbiCoder().encode(
+              ["uint256", "tuple(address account, address token, uint256 amount)[]"],
+              [2500, []]
+            )
+          ),
+        ]);
+        expect(details.arbitratorVoteCounts).to.deep.equal([1n, 0n, 1n]);
+      });
+
+      it("should default the quorum to a simple majority", async function () {
+        const panelEscrow = await deployPanelEscrow({ arbitrationQuorum: 0 });
+        expect(await panelEscrow.arbitrationQuorum()).to.equal(2);
+        expect(await panelEscrow.mediator()).to.equal(mediator.address);
+        expect(await panelEscrow.arbitratorsCount()).to.equal(3);
+      });
+
+      it("should reject invalid panels", async function () {
+        await expect(
+          deployPanelEscrow({ arbitrators: [arbitrator2.address, arbitrator2.address] })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidArbitrator")
+          .withArgs(arbitrator2.address);
+        await expect(
+          deployPanelEscrow({ arbitrators: [mediator.address] })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidArbitrator")
+          .withArgs(mediator.address);
+        await expect(
+          deployPanelEscrow({ arbitrationQuorum: 4 })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidQuorum")
+          .withArgs(4);
+      });
+
+      it("should replace a panel member with the panel's approval", async function () {
+        const panelEscrow = await deployPanelEscrow();
+        await fundAndDispute(panelEscrow);
+        await panelEscrow.connect(arbitrator3).resolveDisputeToRecipients();
+
+        await expect(
+          panelEscrow.connect(mediator).changeMediator(arbitrator3.address, owner.address)
+        )
+          .to.emit(panelEscrow, "MemberChangeApproved")
+          .withArgs(mediator.address, arbitrator3.address, owner.address);
+        expect(await panelEscrow.isArbitrator(arbitrator3.address)).to.equal(true);
+
+        await expect(
+          panelEscrow.connect(mediator).changeMediator(arbitrator3.address, owner.address)
+        ).to.be.revertedWith("Already approved");
+
+        await expect(
+          panelEscrow.connect(arbitrator2).changeMediator(arbitrator3.address, owner.address)
+        )
+          .to.emit(panelEscrow, "MediatorChanged")
+          .withArgs(arbitrator3.address, owner.address);
+        expect(await panelEscrow.arbitrators(2)).to.equal(owner.address);
+        expect(await panelEscrow.isArbitrator(arbitrator3.address)).to.equal(false);
+
+        // El voto del miembro sustituido deja de contar
+        expect(await panelEscrow.rulingVotes(await panelEscrow.RULING_RECIPIENTS())).to.equal(0);
+        await expect(
+          panelEscrow.connect(arbitrator3).resolveDisputeToRecipients()
+        ).to.be.revertedWith("Not mediator");
+        expect(
+          await escrowFactory.getEscrowsByRole(0, owner.address, 0, 10)
+        ).to.deep.equal([panelEscrow.target]);
+      });
+
+      it("should replace a panel member with all participants' approval", async function () {
+        const panelEscrow = await deployPanelEscrow();
+
+        await panelEscrow.connect(participant1).changeMediator(mediator.address, owner.address);
+        expect(await panelEscrow.mediator()).to.equal(mediator.address);
+
+        await panelEscrow.connect(participant2).changeMediator(mediator.address, owner.address);
+        expect(await panelEscrow.mediator()).to.equal(owner.address);
+
+        await expect(
+          panelEscrow.connect(participant1).changeMediator(owner.address, arbitrator2.address)
+        ).to.be.revertedWith("Already an arbitrator");
+        await expect(
+          panelEscrow.connect(participant1).changeMediator(recipient1.address, recipient2.address)
+        ).to.be.revertedWith("Not an arbitrator");
+      });
+
+      it("should split the mediator fee among the panel", async function () {
+        const panelEscrow = await deployPanelEscrow({ mediatorFee: 300 });
+        await fundAndDispute(panelEscrow);
+        await panelEscrow.connect(mediator).resolveDisputeRefundAll();
+        await panelEscrow.connect(arbitrator2).resolveDisputeRefundAll();
+
+        // 3% de 1 ETH entre tres árbitros
+        const part = ethers.parseEther("0.01");
+        for (const arbitrator of [mediator, arbitrator2, arbitrator3]) {
+          expect(
+            await panelEscrow.balancesToWithdraw(arbitrator.address, ethers.ZeroAddress)
+          ).to.equal(part);
+        }
+        expect(
+          await panelEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount - 3n * part);
+      });
+    });
+
+    describe("Appeal Cases", function () {
+      const appealBond = ethers.parseEther("0.1");
+      let appealArbitrator;
+
+      beforeEach(async function () {
+        appealArbitrator = (await ethers.getSigners())[7];
+      });
+
+      // Escrow con una hora para apelar la resolución del mediador
+      async function deployAppealEscrow(options = {}) {
+        const appealEscrow = await deployAndInitializeEscrow({
+          recipients: [
+            { addr: recipient1.address, share: 6000 },
+            { addr: recipient2.address, share: 4000 },
+          ],
+          options: {
+            appealArbitrator: appealArbitrator.address,
+            appealPeriod: 3600,
+            appealBond,
+            ...options,
+          },
+        });
+
+        const halfEtherAmount = etherAmount / 2n;
+        await appealEscrow.connect(participant1).depositETH({ value: halfEtherAmount });
+        await appealEscrow.connect(participant2).depositETH({ value: halfEtherAmount });
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await appealEscrow.connect(participant1).raiseDispute("Delivery not confirmed");
+        return appealEscrow;
+      }
+
+      async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+      }
+
+      it("should keep the ruling provisional until the appeal period ends", async function () {
+        const appealEscrow = await deployAppealEscrow();
+
+        const tx = await appealEscrow.connect(mediator).resolveDisputeToRecipients();
+        await expect(tx).to.emit(appealEscrow, "ResolvedByMediator").withArgs(mediator.address);
+        await expect(tx).to.emit(appealEscrow, "ProvisionalRuling");
+        expect(await appealEscrow.state()).to.equal(2); // State.DISPUTE
+        expect(await appealEscrow.provisionalRuling()).to.equal(
+          await appealEscrow.RULING_RECIPIENTS()
+        );
+
+        // Sin fondos asignados mientras se puede apelar
+        await expect(
+          appealEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.be.revertedWith("Invalid state");
+        await expect(appealEscrow.executeRuling()).to.be.revertedWith(
+          "Appeal period not ended"
+        );
+        await expect(
+          appealEscrow.connect(mediator).resolveDisputeRefundAll()
+        ).to.be.revertedWith("Ruling pending");
+
+        await increaseTime(3601);
+        await expect(
+          appealEscrow.connect(participant1).appeal({ value: appealBond })
+        ).to.be.revertedWith("Appeal period expired");
+        await appealEscrow.connect(recipient2).executeRuling();
+
+        expect(await appealEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await appealEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.6"));
+      });
+
+      it("should only accept appeals from a losing party with the bond", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await expect(
+          appealEscrow.connect(participant1).appeal({ value: appealBond })
+        ).to.be.revertedWith("Nothing to appeal");
+
+        await appealEscrow.connect(mediator).resolveDisputeToRecipients();
+        await expect(
+          appealEscrow.connect(recipient1).appeal({ value: appealBond })
+        ).to.be.revertedWith("Not a losing party");
+        await expect(
+          appealEscrow.connect(participant1).appeal({ value: appealBond / 2n })
+        ).to.be.revertedWith("Invalid appeal bond");
+
+        await expect(appealEscrow.connect(participant1).appeal({ value: appealBond }))
+          .to.emit(appealEscrow, "AppealRaised")
+          .withArgs(participant1.address, appealBond);
+        await expect(
+          appealEscrow.connect(participant2).appeal({ value: appealBond })
+        ).to.be.revertedWith("Nothing to appeal");
+
+        // La fianza no es recuperable con sweep()
+        await expect(
+          appealEscrow.connect(mediator).sweep(ethers.ZeroAddress)
+        ).to.be.revertedWith("Nothing to sweep");
+      });
+
+      it("should return the bond to the appellant when the ruling is overturned", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await appealEscrow.connect(mediator).resolveDisputeToRecipients();
+        await appealEscrow.connect(participant1).appeal({ value: appealBond });
+
+        await expect(
+          appealEscrow.connect(mediator).resolveDisputeRefundAll()
+        ).to.be.revertedWith("Not appeal arbitrator");
+
+        await expect(appealEscrow.connect(appealArbitrator).resolveDisputeRefundAll())
+          .to.emit(appealEscrow, "AppealDecided")
+          .withArgs(appealArbitrator.address, await appealEscrow.RULING_REFUND(), false);
+        expect(await appealEscrow.state()).to.equal(4); // State.REFUNDED
+        expect(
+          await appealEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.6"));
+        expect(
+          await appealEscrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.5"));
+      });
+
+      it("should pay the bond to the winners when the ruling is upheld", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await appealEscrow.connect(mediator).resolveDisputeToRecipients();
+        await appealEscrow.connect(participant2).appeal({ value: appealBond });
+
+        await expect(appealEscrow.connect(appealArbitrator).resolveDisputeToRecipients())
+          .to.emit(appealEscrow, "AppealDecided")
+          .withArgs(appealArbitrator.address, await appealEscrow.RULING_RECIPIENTS(), true);
+        expect(await appealEscrow.state()).to.equal(3); // State.RESOLVED
+
+        // Receptores 60/40 del depósito y de la fianza
+        expect(
+          await appealEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.66"));
+        expect(
+          await appealEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.44"));
+        expect(
+          await appealEscrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(0);
+
+        await appealEscrow.connect(recipient1).withdraw(ethers.ZeroAddress);
+        await appealEscrow.connect(recipient2).withdraw(ethers.ZeroAddress);
+        expect(await ethers.provider.getBalance(appealEscrow.target)).to.equal(0);
+      });
+
+      it("should execute the ruling if the appeal is not decided in time", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await appealEscrow.connect(mediator).resolveDisputeRefundAll();
+        await appealEscrow.connect(recipient1).appeal({ value: appealBond });
+
+        await expect(appealEscrow.executeRuling()).to.be.revertedWith("Appeal pending");
+        await increaseTime(86401);
+        await expect(
+          appealEscrow.connect(appealArbitrator).resolveDisputeToRecipients()
+        ).to.be.revertedWith("Appeal period expired");
+
+        await appealEscrow.executeRuling();
+        expect(await appealEscrow.state()).to.equal(4); // State.REFUNDED
+        expect(
+          await appealEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(appealBond);
+        expect(
+          await appealEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.5"));
+      });
+
+      it("should validate a split when it is ruled and apply it after the appeal period", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await expect(
+          appealEscrow.connect(mediator).resolveDisputeWithSplit(5000, [
+            { account: recipient1.address, token: ethers.ZeroAddress, amount: etherAmount * 2n },
+          ])
+        ).to.be.revertedWith("Split exceeds deposited funds");
+
+        const allocations = [
+          { account: participant2.address, token: ethers.ZeroAddress, amount: ethers.parseEther("0.2") },
+        ];
+        await expect(appealEscrow.connect(mediator).resolveDisputeWithSplit(5000, allocations))
+          .to.emit(appealEscrow, "SplitRuling")
+          .withArgs(mediator.address, 5000, [
+            [participant2.address, ethers.ZeroAddress, ethers.parseEther("0.2")],
+          ]);
+        expect(await appealEscrow.state()).to.equal(2); // State.DISPUTE
+
+        await increaseTime(3601);
+        await appealEscrow.executeRuling();
+        expect(await appealEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await appealEscrow.balancesToWithdraw(participant2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.4"));
+        expect(
+          await appealEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.24"));
+      });
+
+      it("should let either side appeal a split", async function () {
+        const appealEscrow = await deployAppealEscrow();
+        await appealEscrow.connect(mediator).resolveDisputeWithSplit(5000, []);
+        await expect(
+          appealEscrow.connect(appealArbitrator).appeal({ value: appealBond })
+        ).to.be.revertedWith("Not a losing party");
+        await appealEscrow.connect(recipient2).appeal({ value: appealBond });
+        expect(await appealEscrow.appellant()).to.equal(recipient2.address);
+      });
+
+      it("should require an appeal arbitrator when appeals are enabled", async function () {
+        await expect(
+          deployAppealEscrow({ appealArbitrator: ethers.ZeroAddress })
+        ).to.be.revertedWithCustomError(escrowFactory, "ZeroAppealArbitrator");
+      });
+    });
+
+    describe("Evidence Cases", function () {
+      const contentHash = ethers.keccak256(ethers.toUtf8Bytes("delivery photos"));
+      const evidenceURI = "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+      beforeEach(async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+      });
+
+      it("should only let participants and recipients raise a dispute", async function () {
+        await expect(
+          escrow.connect(owner).raiseDispute("Delivery not confirmed")
+        ).to.be.revertedWith("Not a party");
+        await expect(
+          escrow.connect(mediator).raiseDispute("Delivery not confirmed")
+        ).to.be.revertedWith("Not a party");
+
+        await expect(escrow.connect(recipient1).raiseDispute("Payment withheld"))
+          .to.emit(escrow, "DisputeRaised")
+          .withArgs(recipient1.address, "Payment withheld");
+        expect(await escrow.state()).to.equal(2); // State.DISPUTE
+      });
+
+      it("should emit ERC-1497 evidence from parties and the mediator", async function () {
+        const evidenceGroupID = BigInt(escrow.target);
+        await expect(escrow.connect(participant1).raiseDispute("Delivery not confirmed"))
+          .to.emit(escrow, "Dispute")
+          .withArgs(mediator.address, 0, 0, evidenceGroupID);
+
+        for (const party of [participant2, recipient1, mediator]) {
+          await expect(escrow.connect(party).submitEvidence(contentHash, evidenceURI))
+            .to.emit(escrow, "Evidence")
+            .withArgs(mediator.address, evidenceGroupID, party.address, evidenceURI)
+            .and.to.emit(escrow, "EvidenceHash")
+            .withArgs(party.address, contentHash);
+        }
+      });
+
+      it("should keep the standard ERC-1497 event signatures", async function () {
+        const signatures = [
+          "MetaEvidence(uint256,string)",
+          "Dispute(address,uint256,uint256,uint256)",
+          "Evidence(address,uint256,address,string)",
+        ];
+        for (const signature of signatures) {
+          expect(escrow.interface.getEvent(signature.split("(")[0]).topicHash).to.equal(
+            ethers.id(signature)
+          );
+        }
+      });
+
+      it("should emit the agreement as MetaEvidence only when given", async function () {
+        const metaEvidenceURI = "ipfs://bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+        const withMetaEvidence = await deployAndInitializeEscrow({
+          options: { metaEvidence: metaEvidenceURI },
+        });
+        const emitted = await withMetaEvidence.queryFilter(withMetaEvidence.filters.MetaEvidence());
+        expect(emitted.map((event) => [...event.args])).to.deep.equal([[0n, metaEvidenceURI]]);
+
+        const withoutMetaEvidence = await deployAndInitializeEscrow();
+        expect(
+          await withoutMetaEvidence.queryFilter(withoutMetaEvidence.filters.MetaEvidence())
+        ).to.have.lengthOf(0);
+      });
+
+      it("should reject evidence from outsiders, without a hash or outside a dispute", async function () {
+        await expect(
+          escrow.connect(participant1).submitEvidence(contentHash, evidenceURI)
+        ).to.be.revertedWith("Invalid state");
+
+        await escrow.connect(participant1).raiseDispute("Delivery not confirmed");
+        await expect(
+          escrow.connect(owner).submitEvidence(contentHash, evidenceURI)
+        ).to.be.revertedWith("Not a party or mediator");
+        await expect(
+          escrow.connect(participant1).submitEvidence(ethers.ZeroHash, evidenceURI)
+        ).to.be.revertedWith("Invalid evidence");
+
+        await escrow.connect(mediator).resolveDisputeToRecipients();
+        await expect(
+          escrow.connect(recipient1).submitEvidence(contentHash, evidenceURI)
+        ).to.be.revertedWith("Invalid state");
+      });
+    });
+
+    describe("Recipient Position Cases", function () {
+      let positions, buyer;
+
+      beforeEach(async function () {
+        buyer = (await ethers.getSigners())[7];
+        positions = await ethers.getContractAt(
+          "EscrowPositions",
+          await escrowFactory.positions()
+        );
+      });
+
+      // Escrow por defecto (receptores 70/30) con posiciones ERC-721
+      async function deployPositionEscrow(milestones = []) {
+        return deployAndInitializeEscrow({ milestones, options: { recipientPositions: true } });
+      }
+
+      async function resolve(positionEscrow) {
+        await positionEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await positionEscrow.connect(participant1).confirm();
+      }
+
+      it("should mint one position per recipient at creation", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [tokenId1, tokenId2] = await positions.positionsOf(positionEscrow.target);
+
+        expect(await positions.ownerOf(tokenId1)).to.equal(recipient1.address);
+        expect(await positions.ownerOf(tokenId2)).to.equal(recipient2.address);
+        const position = await positions.positions(tokenId1);
+        expect(position.escrow).to.equal(positionEscrow.target);
+        expect(position.share).to.equal(7000);
+
+        const details = await escrowFactory.getEscrowDetails(positionEscrow.target);
+        expect(details.positionIds).to.deep.equal([tokenId1, tokenId2]);
+
+        // Sin la opción no se emiten posiciones
+        const details2 = await escrowFactory.getEscrowDetails(escrow.target);
+        expect(details2.positionIds).to.deep.equal([]);
+        expect(await escrow.positions()).to.equal(ethers.ZeroAddress);
+      });
+
+      it("should pay the holder of a position on withdraw", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [tokenId1] = await positions.positionsOf(positionEscrow.target);
+
+        await positions
+          .connect(recipient1)
+          .transferFrom(recipient1.address, buyer.address, tokenId1);
+        expect(await positionEscrow.recipientShares(buyer.address)).to.equal(7000);
+        expect(await positionEscrow.recipientShares(recipient1.address)).to.equal(0);
+        expect(await escrowFactory.getEscrowsByRole(2, buyer.address, 0, 10)).to.deep.equal([
+          positionEscrow.target,
+        ]);
+        expect(
+          await escrowFactory.getEscrowsByRole(2, recipient1.address, 0, 10)
+        ).to.not.include(positionEscrow.target);
+
+        await resolve(positionEscrow);
+        await expect(
+          positionEscrow.connect(buyer).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(buyer, ethers.parseEther("0.7"));
+        await expect(
+          positionEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.be.revertedWith("Nothing to withdraw");
+      });
+
+      it("should not change shares when a position is transferred to its holder", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [, tokenId2] = await positions.positionsOf(positionEscrow.target);
+
+        await positions
+          .connect(recipient2)
+          .transferFrom(recipient2.address, recipient2.address, tokenId2);
+        expect(await positions.ownerOf(tokenId2)).to.equal(recipient2.address);
+        expect(await positions.balanceOf(recipient2.address)).to.equal(1);
+        expect(await positionEscrow.recipientShares(recipient2.address)).to.equal(3000);
+        expect(await positionEscrow.recipientShares(recipient1.address)).to.equal(7000);
+
+        await resolve(positionEscrow);
+        await expect(
+          positionEscrow.connect(recipient2).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(recipient2, ethers.parseEther("0.3"));
+        await expect(
+          positionEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(recipient1, ethers.parseEther("0.7"));
+      });
+
+      it("should leave funds allocated before a transfer to the seller", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [tokenId1] = await positions.positionsOf(positionEscrow.target);
+        await resolve(positionEscrow);
+
+        await positions
+          .connect(recipient1)
+          .transferFrom(recipient1.address, buyer.address, tokenId1);
+        expect(
+          await positionEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+        expect(
+          await positionEscrow.balancesToWithdraw(buyer.address, ethers.ZeroAddress)
+        ).to.equal(0);
+      });
+
+      it("should split milestone releases between seller and buyer", async function () {
+        const positionEscrow = await deployPositionEscrow([
+          { share: 4000, confirmationPeriod: 0 },
+          { share: 6000, confirmationPeriod: 0 },
+        ]);
+        const [tokenId1] = await positions.positionsOf(positionEscrow.target);
+        await positionEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await positionEscrow.connect(participant1).confirm();
+
+        // Tras el primer hito, el comprador solo cobra del segundo
+        await positions
+          .connect(recipient1)
+          .transferFrom(recipient1.address, buyer.address, tokenId1);
+        await positionEscrow.connect(participant1).confirm();
+
+        expect(
+          await positionEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.28"));
+        expect(
+          await positionEscrow.balancesToWithdraw(buyer.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.42"));
+        expect(
+          await positionEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.3"));
+      });
+
+      it("should add up positions gathered by the same holder", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [tokenId1, tokenId2] = await positions.positionsOf(positionEscrow.target);
+
+        await positions
+          .connect(recipient1)
+          .transferFrom(recipient1.address, recipient2.address, tokenId1);
+        expect(await positionEscrow.recipientsCount()).to.equal(1);
+
+        // Vende una de sus dos posiciones antes de resolver
+        await positionEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await positions
+          .connect(recipient2)
+          .transferFrom(recipient2.address, buyer.address, tokenId2);
+        await positionEscrow.connect(participant1).confirm();
+
+        expect(
+          await positionEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+        expect(
+          await positionEscrow.balancesToWithdraw(buyer.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.3"));
+        await positionEscrow.connect(recipient2).withdraw(ethers.ZeroAddress);
+        await positionEscrow.connect(buyer).withdraw(ethers.ZeroAddress);
+        expect(await ethers.provider.getBalance(positionEscrow.target)).to.equal(0);
+      });
+
+      it("should support approvals and safe transfers", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        const [, tokenId2] = await positions.positionsOf(positionEscrow.target);
+
+        await expect(
+          positions.connect(buyer).transferFrom(recipient2.address, buyer.address, tokenId2)
+        ).to.be.revertedWith("Not authorized");
+        await positions.connect(recipient2).approve(buyer.address, tokenId2);
+        await positions
+          .connect(buyer)
+          ["safeTransferFrom(address,address,uint256)"](recipient2.address, buyer.address, tokenId2);
+        expect(await positions.ownerOf(tokenId2)).to.equal(buyer.address);
+        expect(await positions.getApproved(tokenId2)).to.equal(ethers.ZeroAddress);
+
+        // Un contrato que no implementa onERC721Received no puede recibirla
+        await expect(
+          positions
+            .connect(buyer)
+            ["safeTransferFrom(address,address,uint256)"](buyer.address, escrowFactory.target, tokenId2)
+        ).to.be.reverted;
+        expect(await positions.supportsInterface("0x80ac58cd")).to.equal(true);
+      });
+
+      it("should only accept position transfers from the positions contract", async function () {
+        const positionEscrow = await deployPositionEscrow();
+        await expect(
+          positionEscrow
+            .connect(recipient1)
+            .onPositionTransfer(recipient1.address, buyer.address, 7000)
+        ).to.be.revertedWith("Not positions");
+        await expect(
+          positions.connect(owner).mint(owner.address, positionEscrow.target, 10000)
+        ).to.be.revertedWith("Not factory");
+      });
+    });
+
+    describe("Vesting Cases", function () {
+      const vestingDuration = 1000;
+      const vestingCliff = 100;
+
+      // Escrow por defecto (receptores 70/30) cuyo pago se desbloquea en 1000 s
+      async function deployVestingEscrow(options = {}, milestones = []) {
+        return deployAndInitializeEscrow({
+          milestones,
+          options: { vestingDuration, vestingCliff, ...options },
+        });
+      }
+
+      async function resolve(vestingEscrow) {
+        await vestingEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await vestingEscrow.connect(participant1).confirm();
+        return vestingEscrow.resolvedTime();
+      }
+
+      // Avanza hasta resolvedTime + elapsed y mina un bloque
+      async function mineAt(resolvedTime, elapsed) {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(resolvedTime) + elapsed]);
+        await ethers.provider.send("evm_mine");
+      }
+
+      it("should not unlock anything before the cliff", async function () {
+        const vestingEscrow = await deployVestingEscrow();
+        const resolvedTime = await resolve(vestingEscrow);
+        expect(await vestingEscrow.state()).to.equal(3); // State.RESOLVED
+
+        await mineAt(resolvedTime, vestingCliff - 2);
+        const status = await vestingEscrow.vestingStatus(recipient1.address, ethers.ZeroAddress);
+        expect(status.vested).to.equal(0);
+        expect(status.locked).to.equal(ethers.parseEther("0.7"));
+        expect(status.claimable).to.equal(0);
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(resolvedTime) + vestingCliff - 1]);
+        await expect(
+          vestingEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.be.revertedWith("Nothing to withdraw");
+      });
+
+      it("should unlock linearly and pay only the vested part", async function () {
+        const vestingEscrow = await deployVestingEscrow();
+        const resolvedTime = await resolve(vestingEscrow);
+
+        await mineAt(resolvedTime, 250);
+        let status = await vestingEscrow.vestingStatus(recipient1.address, ethers.ZeroAddress);
+        expect(status.vested).to.equal(ethers.parseEther("0.175"));
+        expect(status.locked).to.equal(ethers.parseEther("0.525"));
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(resolvedTime) + 500]);
+        await expect(
+          vestingEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(recipient1, ethers.parseEther("0.35"));
+
+        await mineAt(resolvedTime, 750);
+        status = await vestingEscrow.vestingStatus(recipient1.address, ethers.ZeroAddress);
+        expect(status.vested).to.equal(ethers.parseEther("0.525"));
+        expect(status.claimable).to.equal(ethers.parseEther("0.175"));
+
+        // Al terminar el vesting todo es retirable y no queda polvo
+        await mineAt(resolvedTime, vestingDuration);
+        await vestingEscrow.connect(recipient1).withdraw(ethers.ZeroAddress);
+        await vestingEscrow.connect(recipient2).withdraw(ethers.ZeroAddress);
+        expect(await ethers.provider.getBalance(vestingEscrow.target)).to.equal(0);
+      });
+
+      it("should not vest milestones released before resolution", async function () {
+        const vestingEscrow = await deployVestingEscrow({}, [
+          { share: 4000, confirmationPeriod: 0 },
+          { share: 6000, confirmationPeriod: 0 },
+        ]);
+        await vestingEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await vestingEscrow.connect(participant1).confirm();
+        expect(
+          await vestingEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.28"));
+
+        await vestingEscrow.connect(participant1).confirm();
+        const resolvedTime = await vestingEscrow.resolvedTime();
+        await mineAt(resolvedTime, 500);
+        expect(
+          await vestingEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.49"));
+      });
+
+      it("should not vest refunds to participants", async function () {
+        const vestingEscrow = await deployVestingEscrow();
+        await vestingEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await vestingEscrow.forceRefund();
+
+        expect(
+          await vestingEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount);
+      });
+
+      it("should move the unvested part with a transferred position", async function () {
+        const buyer = (await ethers.getSigners())[7];
+        const vestingEscrow = await deployVestingEscrow({ recipientPositions: true });
+        const positions = await ethers.getContractAt(
+          "EscrowPositions",
+          await escrowFactory.positions()
+        );
+        const [tokenId1] = await positions.positionsOf(vestingEscrow.target);
+        const resolvedTime = await resolve(vestingEscrow);
+
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(resolvedTime) + 400]);
+        await positions
+          .connect(recipient1)
+          .transferFrom(recipient1.address, buyer.address, tokenId1);
+
+        await mineAt(resolvedTime, vestingDuration);
+        expect(
+          await vestingEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.28"));
+        expect(
+          await vestingEscrow.balancesToWithdraw(buyer.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.42"));
+      });
+
+      it("should reject a cliff longer than the vesting", async function () {
+        await expect(
+          deployVestingEscrow({ vestingCliff: vestingDuration + 1 })
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidVesting")
+          .withArgs(vestingDuration + 1, vestingDuration);
+        const details = await escrowFactory.getEscrowDetails(
+          (await deployVestingEscrow()).target
+        );
+        expect(details.vestingDuration_).to.equal(vestingDuration);
+        expect(details.vestingCliff_).to.equal(vestingCliff);
+      });
+    });
+
+    describe("Amendment Cases", function () {
+      let newAccount;
+
+      beforeEach(async function () {
+        newAccount = (await ethers.getSigners())[7];
+      });
+
+      async function amendment(changes = {}) {
+        const block = await ethers.provider.getBlock("latest");
+        return {
+          replacements: [],
+          recipientShares: [],
+          fundingPeriodExtension: 0,
+          confirmationPeriodExtension: 0,
+          deadline: block.timestamp + 3600,
+          ...changes,
+        };
+      }
+
+      it("should replace a participant that lost its key", async function () {
+        await escrow.connect(participant2).depositETH({ value: etherAmount });
+        const lostKey = await amendment({
+          replacements: [{ oldAccount: participant2.address, newAccount: newAccount.address }],
+        });
+
+        // Sin la aprobación de participant2 decide el mediador, y participant1 tiene
+        // todo el peso de los participantes que quedan
+        await escrow.connect(participant1).approveAmendment(lostKey);
+        expect(await escrow.participantShares(newAccount.address)).to.equal(0);
+        const tx = await escrow.connect(mediator).approveAmendment(lostKey);
+        await expect(tx).to.emit(escrow, "AmendmentApproved");
+        await expect(tx)
+          .to.emit(escrow, "AccountReplaced")
+          .withArgs(participant2.address, newAccount.address);
+        await expect(tx).to.emit(escrow, "AmendmentApplied");
+
+        expect(await escrow.participantsList(1)).to.equal(newAccount.address);
+        expect(await escrow.participantShares(newAccount.address)).to.equal(5000);
+        expect(await escrow.participantShares(participant2.address)).to.equal(0);
+        expect(await escrow.deposits(newAccount.address, ethers.ZeroAddress)).to.equal(etherAmount);
+        expect(await escrowFactory.getEscrowsByRole(1, newAccount.address, 0, 10)).to.deep.equal([
+          escrow.target,
+        ]);
+        expect(
+          await escrowFactory.getEscrowsByRole(1, participant2.address, 0, 10)
+        ).to.not.include(escrow.target);
+
+        // La nueva dirección confirma y recibe el reembolso
+        await expect(escrow.connect(participant2).confirm()).to.be.revertedWith(
+          "Not a participant"
+        );
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await escrow.forceRefund();
+        expect(
+          await escrow.balancesToWithdraw(newAccount.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount);
+      });
+
+      it("should not let a participant be replaced by another alone", async function () {
+        await escrow.connect(participant2).depositETH({ value: etherAmount });
+        const takeover = await amendment({
+          replacements: [{ oldAccount: participant2.address, newAccount: newAccount.address }],
+        });
+
+        // participant1 alcanza el umbral por sí solo, pero no puede quitar a participant2
+        await escrow.connect(participant1).approveAmendment(takeover);
+        expect(await escrow.participantShares(participant2.address)).to.equal(5000);
+        expect(await escrow.participantShares(newAccount.address)).to.equal(0);
+        expect(await escrow.deposits(participant2.address, ethers.ZeroAddress)).to.equal(
+          etherAmount
+        );
+
+        // Con su aprobación, participant2 cambia de dirección
+        await expect(escrow.connect(participant2).approveAmendment(takeover))
+          .to.emit(escrow, "AccountReplaced")
+          .withArgs(participant2.address, newAccount.address);
+      });
+
+      it("should not let any single party replace a participant without threshold", async function () {
+        const openEscrow = await deployAndInitializeEscrow({
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          confirmationsThreshold: 0,
+        });
+
+        const takeover = await amendment({
+          replacements: [{ oldAccount: participant2.address, newAccount: newAccount.address }],
+        });
+        await openEscrow.connect(recipient1).approveAmendment(takeover);
+        await openEscrow.connect(participant1).approveAmendment(takeover);
+        expect(await openEscrow.participantShares(participant2.address)).to.equal(5000);
+
+        // Solo el mediador puede suplir la aprobación de quien perdió la clave
+        await expect(openEscrow.connect(mediator).approveAmendment(takeover))
+          .to.emit(openEscrow, "AccountReplaced")
+          .withArgs(participant2.address, newAccount.address);
+      });
+
+      it("should require the approval of a recipient whose wallet is replaced", async function () {
+        const walletChange = await amendment({
+          replacements: [{ oldAccount: recipient1.address, newAccount: newAccount.address }],
+        });
+        await escrow.connect(participant1).approveAmendment(walletChange);
+        expect(await escrow.recipientShares(recipient1.address)).to.equal(7000);
+
+        await expect(escrow.connect(recipient1).approveAmendment(walletChange))
+          .to.emit(escrow, "AccountReplaced")
+          .withArgs(recipient1.address, newAccount.address);
+        expect(await escrow.recipientShares(newAccount.address)).to.equal(7000);
+        expect(await escrow.recipientsCount()).to.equal(2);
+
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+        expect(
+          await escrow.balancesToWithdraw(newAccount.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+        expect(await escrowFactory.getEscrowsByRole(2, newAccount.address, 0, 10)).to.deep.equal([
+          escrow.target,
+        ]);
+      });
+
+      it("should adjust recipient shares with the approval of those who lose share", async function () {
+        const newShares = await amendment({
+          recipientShares: [
+            { addr: recipient1.address, share: 6000 },
+            { addr: recipient2.address, share: 4000 },
+          ],
+        });
+        await escrow.connect(participant2).approveAmendment(newShares);
+        await escrow.connect(recipient2).approveAmendment(newShares);
+        expect(await escrow.recipientShares(recipient1.address)).to.equal(7000);
+
+        await expect(escrow.connect(recipient1).approveAmendment(newShares))
+          .to.emit(escrow, "RecipientShareChanged")
+          .withArgs(recipient1.address, 6000);
+
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+        expect(
+          await escrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.6"));
+        expect(
+          await escrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.4"));
+      });
+
+      it("should keep released milestones when shares change", async function () {
+        const milestoneEscrow = await deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          recipients: [
+            { addr: recipient1.address, share: 5000 },
+            { addr: recipient2.address, share: 5000 },
+          ],
+          milestones: [
+            { share: 5000, confirmationPeriod: 0 },
+            { share: 5000, confirmationPeriod: 0 },
+          ],
+        });
+        await milestoneEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await milestoneEscrow.connect(participant1).confirm();
+
+        // Tras el primer hito (0.25 cada uno), recipient2 cede su share a recipient1
+        const newShares = await amendment({
+          recipientShares: [
+            { addr: recipient1.address, share: 9000 },
+            { addr: recipient2.address, share: 1000 },
+          ],
+        });
+        await milestoneEscrow.connect(participant1).approveAmendment(newShares);
+        await milestoneEscrow.connect(recipient2).approveAmendment(newShares);
+        await milestoneEscrow.connect(participant1).confirm();
+
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+        expect(
+          await milestoneEscrow.balancesToWithdraw(recipient2.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.3"));
+        await milestoneEscrow.connect(recipient1).withdraw(ethers.ZeroAddress);
+        await milestoneEscrow.connect(recipient2).withdraw(ethers.ZeroAddress);
+        expect(await ethers.provider.getBalance(milestoneEscrow.target)).to.equal(0);
+      });
+
+      it("should extend the funding and confirmation periods", async function () {
+        const extension = await amendment({
+          fundingPeriodExtension: 3600,
+          confirmationPeriodExtension: 7200,
+        });
+        await expect(escrow.connect(participant1).approveAmendment(extension))
+          .to.emit(escrow, "PeriodsExtended")
+          .withArgs(86400 + 3600, 86400 + 7200);
+
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        expect(await escrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should require the mediator when configured", async function () {
+        const mediatedEscrow = await deployAndInitializeEscrow({
+          participants: [{ addr: participant1.address, share: 10000 }],
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          options: { amendmentsRequireMediator: true },
+        });
+
+        const extension = await amendment({ fundingPeriodExtension: 3600 });
+        await mediatedEscrow.connect(participant1).approveAmendment(extension);
+        expect(await mediatedEscrow.fundingPeriod()).to.equal(86400);
+        await expect(mediatedEscrow.connect(mediator).approveAmendment(extension))
+          .to.emit(mediatedEscrow, "AmendmentApplied");
+        expect(await mediatedEscrow.fundingPeriod()).to.equal(86400 + 3600);
+      });
+
+      it("should require the panel quorum to replace a participant that lost its key", async function () {
+        const [arbitrator2, arbitrator3] = (await ethers.getSigners()).slice(8, 10);
+        const panelEscrow = await deployAndInitializeEscrow({
+          options: { arbitrators: [arbitrator2.address, arbitrator3.address], arbitrationQuorum: 2 },
+        });
+        const lostKey = await amendment({
+          replacements: [{ oldAccount: participant2.address, newAccount: newAccount.address }],
+        });
+
+        // El mediador solo no basta: hace falta el quórum de dos miembros del panel
+        await panelEscrow.connect(participant1).approveAmendment(lostKey);
+        await panelEscrow.connect(mediator).approveAmendment(lostKey);
+        expect(await panelEscrow.participantShares(newAccount.address)).to.equal(0);
+
+        await expect(panelEscrow.connect(arbitrator3).approveAmendment(lostKey))
+          .to.emit(panelEscrow, "AccountReplaced")
+          .withArgs(participant2.address, newAccount.address);
+        expect(await panelEscrow.participantShares(newAccount.address)).to.equal(5000);
+      });
+
+      it("should not replace a party with a panel member or the appeal arbitrator", async function () {
+        const [arbitrator2, appealArbitrator] = (await ethers.getSigners()).slice(8, 10);
+        const panelEscrow = await deployAndInitializeEscrow({
+          options: {
+            arbitrators: [arbitrator2.address],
+            arbitrationQuorum: 1,
+            appealArbitrator: appealArbitrator.address,
+            appealPeriod: 3600,
+          },
+        });
+
+        for (const member of [mediator, arbitrator2, appealArbitrator]) {
+          const takeover = await amendment({
+            replacements: [{ oldAccount: recipient1.address, newAccount: member.address }],
+          });
+          await panelEscrow.connect(participant1).approveAmendment(takeover);
+          await expect(
+            panelEscrow.connect(recipient1).approveAmendment(takeover)
+          ).to.be.revertedWith("New account is an arbitrator");
+        }
+      });
+
+      it("should reject invalid or unauthorized amendments", async function () {
+        const extension = await amendment({ fundingPeriodExtension: 3600 });
+        await expect(
+          escrow.connect(owner).approveAmendment(extension)
+        ).to.be.revertedWith("Not a party or mediator");
+        await escrow.connect(recipient1).approveAmendment(extension);
+        await expect(
+          escrow.connect(recipient1).approveAmendment(extension)
+        ).to.be.revertedWith("Already approved");
+
+        const badShares = await amendment({
+          recipientShares: [{ addr: recipient1.address, share: 6000 }],
+        });
+        await escrow.connect(recipient1).approveAmendment(badShares);
+        await expect(
+          escrow.connect(participant1).approveAmendment(badShares)
+        ).to.be.revertedWith("Recipients shares must sum to 10000");
+        const toRecipient = await amendment({
+          replacements: [{ oldAccount: participant2.address, newAccount: recipient2.address }],
+        });
+        await escrow.connect(participant1).approveAmendment(toRecipient);
+        await expect(
+          escrow.connect(participant2).approveAmendment(toRecipient)
+        ).to.be.revertedWith("Invalid new account");
+
+        const expired = await amendment({ deadline: 1 });
+        await expect(
+          escrow.connect(participant1).approveAmendment(expired)
+        ).to.be.revertedWith("Amendment expired");
+
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+        await expect(
+          escrow.connect(participant1).approveAmendment(await amendment())
+        ).to.be.revertedWith("Invalid state");
+      });
+    });
+
+    describe("Non-Fungible Asset Cases", function () {
+      const ERC721 = 0;
+      const ERC1155 = 1;
+      let nft, multiToken;
+
+      beforeEach(async function () {
+        const ERC721Mock = await ethers.getContractFactory("ERC721Mock");
+        const ERC1155Mock = await ethers.getContractFactory("ERC1155Mock");
+        nft = await ERC721Mock.deploy();
+        multiToken = await ERC1155Mock.deploy();
+      });
+
+      async function createItemEscrow(assetInputs, items) {
+        return deployAndInitializeEscrow({
+          recipients: [{ addr: recipient1.address, share: 10000 }],
+          assets: assetInputs,
+          options: { items },
+        });
+      }
+
+      it("should swap an NFT for ETH", async function () {
+        // participant2 vende el NFT 7 a participant1, que paga 1 ETH a recipient1
+        await nft.mint(participant2.address, 7);
+        const swap = await createItemEscrow(
+          [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }],
+          [
+            {
+              standard: ERC721,
+              token: nft.target,
+              id: 7,
+              amount: 1,
+              recipient: participant1.address,
+            },
+          ]
+        );
+        expect(await swap.itemsCount()).to.equal(1);
+
+        await swap.connect(participant1).depositETH({ value: etherAmount });
+        expect(await swap.state()).to.equal(0); // State.INIT
+
+        await expect(
+          nft
+            .connect(participant2)
+            ["safeTransferFrom(address,address,uint256)"](participant2.address, swap.target, 7)
+        )
+          .to.emit(swap, "ItemDeposited")
+          .withArgs(participant2.address, 0);
+        expect(await swap.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect((await swap.items(0)).depositor).to.equal(participant2.address);
+
+        await expect(swap.connect(participant1).withdrawItem(0)).to.be.revertedWith(
+          "Invalid state"
+        );
+        await swap.connect(participant1).confirm();
+        expect(await swap.state()).to.equal(3); // State.RESOLVED
+
+        await expect(swap.connect(participant2).withdrawItem(0)).to.be.revertedWith(
+          "Nothing to withdraw"
+        );
+        await expect(swap.connect(participant1).withdrawItem(0))
+          .to.emit(swap, "ItemWithdrawn")
+          .withArgs(participant1.address, 0);
+        expect(await nft.ownerOf(7)).to.equal(participant1.address);
+        await expect(swap.connect(participant1).withdrawItem(0)).to.be.revertedWith(
+          "Nothing to withdraw"
+        );
+
+        await expect(swap.connect(recipient1).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+          recipient1,
+          etherAmount
+        );
+      });
+
+      it("should return the NFT to its depositor when refunded", async function () {
+        await nft.mint(participant2.address, 7);
+        const swap = await createItemEscrow(
+          [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }],
+          [
+            {
+              standard: ERC721,
+              token: nft.target,
+              id: 7,
+              amount: 1,
+              recipient: participant1.address,
+            },
+          ]
+        );
+        await nft
+          .connect(participant2)
+          ["safeTransferFrom(address,address,uint256)"](participant2.address, swap.target, 7);
+
+        // El comprador nunca paga
+        await ethers.provider.send("evm_increaseTime", [86401]);
+        await ethers.provider.send("evm_mine");
+        await swap.forceRefund();
+        expect(await swap.state()).to.equal(4); // State.REFUNDED
+
+        await expect(swap.connect(participant1).withdrawItem(0)).to.be.revertedWith(
+          "Nothing to withdraw"
+        );
+        await swap.connect(participant2).withdrawItem(0);
+        expect(await nft.ownerOf(7)).to.equal(participant2.address);
+      });
+
+      it("should accept ERC-1155 deposits in batch and on behalf of a participant", async function () {
+        await multiToken.mint(owner.address, 1, 10);
+        await multiToken.mint(owner.address, 2, 3);
+        const trade = await createItemEscrow(
+          [],
+          [
+            {
+              standard: ERC1155,
+              token: multiToken.target,
+              id: 1,
+              amount: 10,
+              recipient: recipient1.address,
+            },
+            {
+              standard: ERC1155,
+              token: multiToken.target,
+              id: 2,
+              amount: 3,
+              recipient: recipient2.address,
+            },
+          ]
+        );
+
+        // Un tercero envía los tokens acreditándolos a participant1
+        const onBehalf = ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address"],
+          [participant1.address]
+        );
+        await expect(
+          multiToken.safeBatchTransferFrom(owner.address, trade.target, [1, 2], [10, 3], onBehalf)
+        )
+          .to.emit(trade, "ItemDeposited")
+          .withArgs(participant1.address, 1);
+        expect(await trade.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+
+        await trade.connect(participant2).confirm();
+        await trade.connect(recipient1).withdrawItem(0);
+        await trade.connect(recipient2).withdrawItem(1);
+        expect(await multiToken.balanceOf(recipient1.address, 1)).to.equal(10);
+        expect(await multiToken.balanceOf(recipient2.address, 2)).to.equal(3);
+        expect(await multiToken.balanceOf(trade.target, 1)).to.equal(0);
+      });
+
+      it("should credit every id of a batch that completes the funding", async function () {
+        await multiToken.mint(participant1.address, 1, 10);
+        await multiToken.mint(participant1.address, 2, 3);
+        await multiToken.mint(participant1.address, 3, 1);
+        const trade = await createItemEscrow(
+          [],
+          [1, 2, 3].map((id, i) => ({
+            standard: ERC1155,
+            token: multiToken.target,
+            id,
+            amount: [10, 3, 1][i],
+            recipient: recipient1.address,
+          }))
+        );
+
+        const tx = multiToken
+          .connect(participant1)
+          .safeBatchTransferFrom(participant1.address, trade.target, [1, 2, 3], [10, 3, 1], "0x");
+        await expect(tx).to.emit(trade, "ItemDeposited").withArgs(participant1.address, 0);
+        await expect(tx).to.emit(trade, "ItemDeposited").withArgs(participant1.address, 1);
+        await expect(tx).to.emit(trade, "ItemDeposited").withArgs(participant1.address, 2);
+        await expect(tx).to.emit(trade, "StateChanged").withArgs(0, 1);
+        for (let i = 0; i < 3; i++) {
+          expect((await trade.items(i)).depositor).to.equal(participant1.address);
+        }
+        expect(await trade.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should move items to the new addresses of replaced parties", async function () {
+        const [buyer, seller] = (await ethers.getSigners()).slice(7, 9);
+        await nft.mint(participant2.address, 7);
+        const swap = await createItemEscrow(
+          [{ token: ethers.ZeroAddress, requiredAmount: etherAmount }],
+          [
+            {
+              standard: ERC721,
+              token: nft.target,
+              id: 7,
+              amount: 1,
+              recipient: participant1.address,
+            },
+          ]
+        );
+        await nft
+          .connect(participant2)
+          ["safeTransferFrom(address,address,uint256)"](participant2.address, swap.target, 7);
+
+        const block = await ethers.provider.getBlock("latest");
+        const replacement = {
+          replacements: [
+            { oldAccount: participant1.address, newAccount: buyer.address },
+            { oldAccount: participant2.address, newAccount: seller.address },
+          ],
+          recipientShares: [],
+          fundingPeriodExtension: 0,
+          confirmationPeriodExtension: 0,
+          deadline: block.timestamp + 3600,
+        };
+        await swap.connect(participant1).approveAmendment(replacement);
+        await swap.connect(participant2).approveAmendment(replacement);
+        const item = await swap.items(0);
+        expect(item.recipient).to.equal(buyer.address);
+        expect(item.depositor).to.equal(seller.address);
+
+        await swap.connect(buyer).depositETH({ value: etherAmount });
+        await swap.connect(buyer).confirm();
+        expect(await swap.state()).to.equal(3); // State.RESOLVED
+        await expect(swap.connect(participant1).withdrawItem(0)).to.be.revertedWith(
+          "Nothing to withdraw"
+        );
+        await swap.connect(buyer).withdrawItem(0);
+        expect(await nft.ownerOf(7)).to.equal(buyer.address);
+      });
+
+      it("should reject tokens that are not required or not sent by a participant", async function () {
+        await nft.mint(participant2.address, 7);
+        await nft.mint(participant2.address, 8);
+        await nft.mint(owner.address, 9);
+        await multiToken.mint(participant1.address, 1, 10);
+        const trade = await createItemEscrow(
+          [],
+          [
+            {
+              standard: ERC721,
+              token: nft.target,
+              id: 7,
+              amount: 1,
+              recipient: participant1.address,
+            },
+            {
+              standard: ERC1155,
+              token: multiToken.target,
+              id: 1,
+              amount: 10,
+              recipient: participant2.address,
+            },
+          ]
+        );
+
+        await expect(
+          nft
+            .connect(participant2)
+            ["safeTransferFrom(address,address,uint256)"](participant2.address, trade.target, 8)
+        ).to.be.revertedWith("Item not required");
+        await expect(
+          multiToken
+            .connect(participant1)
+            .safeTransferFrom(participant1.address, trade.target, 1, 5, "0x")
+        ).to.be.revertedWith("Item not required");
+        await expect(
+          nft["safeTransferFrom(address,address,uint256)"](owner.address, trade.target, 9)
+        ).to.be.revertedWith("Not a participant");
+
+        // Los hooks solo cuentan si los llama el contrato del token requerido
+        await expect(
+          trade.connect(participant2).onERC721Received(
+            participant2.address,
+            participant2.address,
+            7,
+            "0x"
+          )
+        ).to.be.revertedWith("Item not required");
+
+        await nft
+          .connect(participant2)
+          ["safeTransferFrom(address,address,uint256)"](participant2.address, trade.target, 7);
+        expect(await trade.state()).to.equal(0); // State.INIT
+      });
+
+      it("should reject invalid items", async function () {
+        await expect(
+          createItemEscrow(
+            [],
+            [
+              {
+                standard: ERC721,
+                token: nft.target,
+                id: 7,
+                amount: 2,
+                recipient: participant1.address,
+              },
+            ]
+          )
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidItem")
+          .withArgs(0);
+        await expect(
+          createItemEscrow(
+            [],
+            [
+              {
+                standard: ERC1155,
+                token: multiToken.target,
+                id: 1,
+                amount: 10,
+                recipient: ethers.ZeroAddress,
+              },
+            ]
+          )
+        )
+          .to.be.revertedWithCustomError(escrowFactory, "InvalidItem")
+          .withArgs(0);
+      });
+
+      it("should support the ERC-1155 receiver interface", async function () {
+        expect(await escrow.supportsInterface("0x4e2312e0")).to.equal(true);
+        expect(await escrow.supportsInterface("0x01ffc9a7")).to.equal(true);
+        expect(await escrow.supportsInterface("0xffffffff")).to.equal(false);
+      });
+    });
+
+    describe("Optimistic Mode Cases", function () {
+      // Escrow por defecto (receptores 70/30) en modo optimista y ya fondeado
+      async function deployOptimisticEscrow(options = {}, milestones = []) {
+        const optimisticEscrow = await deployAndInitializeEscrow({
+          milestones,
+          options: { optimistic: true, ...options },
+        });
+        await optimisticEscrow.connect(participant1).depositETH({ value: etherAmount });
+        return optimisticEscrow;
+      }
+
+      async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+      }
+
+      it("should resolve to recipients when nobody objects to the delivery", async function () {
+        const optimisticEscrow = await deployOptimisticEscrow();
+        await increaseTime(3600);
+        await expect(optimisticEscrow.connect(recipient2).markDelivered())
+          .to.emit(optimisticEscrow, "DeliveryMarked")
+          .withArgs(recipient2.address, 0);
+
+        await increaseTime(86400 - 3600 + 1);
+        // Vencido el plazo de confirmación, el de objeción sigue abierto
+        await expect(optimisticEscrow.forceRefund()).to.be.revertedWith("Delivery marked");
+        await expect(optimisticEscrow.finalizeDelivery()).to.be.revertedWith(
+          "Objection period not ended"
+        );
+
+        await increaseTime(3600);
+        await expect(
+          optimisticEscrow.connect(participant1).raiseDispute("Delivery not confirmed")
+        ).to.be.revertedWith("Delivery accepted");
+        await expect(optimisticEscrow.forceRefund()).to.be.revertedWith("Delivery marked");
+
+        await optimisticEscrow.connect(owner).finalizeDelivery();
+        expect(await optimisticEscrow.state()).to.equal(3); // State.RESOLVED
+        expect(
+          await optimisticEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.7"));
+      });
+
+      it("should let participants object to the delivery with a dispute", async function () {
+        const optimisticEscrow = await deployOptimisticEscrow();
+        await optimisticEscrow.connect(recipient1).markDelivered();
+
+        await expect(
+          optimisticEscrow.connect(recipient1).raiseDispute("Delivery not confirmed")
+        ).to.be.revertedWith("Not a participant");
+        await expect(
+          optimisticEscrow.connect(participant2).raiseDispute("Item not as described")
+        )
+          .to.emit(optimisticEscrow, "DisputeRaised")
+          .withArgs(participant2.address, "Item not as described");
+        expect(await optimisticEscrow.state()).to.equal(2); // State.DISPUTE
+        await expect(optimisticEscrow.finalizeDelivery()).to.be.revertedWith("Invalid state");
+      });
+
+      it("should keep refunding by default when delivery is never marked", async function () {
+        const optimisticEscrow = await deployOptimisticEscrow();
+        await increaseTime(86401);
+
+        await expect(optimisticEscrow.finalizeDelivery()).to.be.revertedWith(
+          "Delivery not marked"
+        );
+        await expect(optimisticEscrow.connect(recipient1).markDelivered()).to.be.revertedWith(
+          "Confirmation period ended"
+        );
+        await optimisticEscrow.forceRefund();
+        expect(await optimisticEscrow.state()).to.equal(4); // State.REFUNDED
+      });
+
+      it("should release each delivered milestone separately", async function () {
+        const optimisticEscrow = await deployOptimisticEscrow({}, [
+          { share: 5000, confirmationPeriod: 0 },
+          { share: 5000, confirmationPeriod: 3600 },
+        ]);
+        await optimisticEscrow.connect(recipient1).markDelivered();
+        await increaseTime(86401);
+        await optimisticEscrow.finalizeDelivery();
+        expect(await optimisticEscrow.currentMilestone()).to.equal(1);
+        expect(await optimisticEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        expect(
+          await optimisticEscrow.balancesToWithdraw(recipient1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.35"));
+
+        // El segundo hito necesita su propia entrega, con su propio plazo
+        await expect(optimisticEscrow.finalizeDelivery()).to.be.revertedWith(
+          "Delivery not marked"
+        );
+        await optimisticEscrow.connect(recipient2).markDelivered();
+        await increaseTime(3601);
+        await optimisticEscrow.finalizeDelivery();
+        expect(await optimisticEscrow.state()).to.equal(3); // State.RESOLVED
+      });
+
+      it("should reject invalid delivery marks", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await expect(escrow.connect(recipient1).markDelivered()).to.be.revertedWith(
+          "Not optimistic"
+        );
+
+        const optimisticEscrow = await deployOptimisticEscrow();
+        await expect(optimisticEscrow.connect(participant1).markDelivered()).to.be.revertedWith(
+          "Not a recipient"
+        );
+        await optimisticEscrow.connect(recipient1).markDelivered();
+        await expect(optimisticEscrow.connect(recipient2).markDelivered()).to.be.revertedWith(
+          "Already delivered"
+        );
+      });
+
+      it("should report the default outcome in the escrow details", async function () {
+        const optimisticEscrow = await deployOptimisticEscrow();
+        let details = await escrowFactory.getEscrowDetails(optimisticEscrow.target);
+        expect(details.optimistic_).to.equal(true);
+        expect(details.deliveryTime_).to.equal(0);
+
+        await optimisticEscrow.connect(recipient1).markDelivered();
+        details = await escrowFactory.getEscrowDetails(optimisticEscrow.target);
+        expect(details.deliveryTime_).to.equal(await optimisticEscrow.deliveryTime(0));
+
+        details = await escrowFactory.getEscrowDetails(escrow.target);
+        expect(details.optimistic_).to.equal(false);
+      });
+    });
+
+    describe("Revocation and Cancellation Cases", function () {
+      // Escrow 50/50 que necesita las dos confirmaciones
+      async function deployUnanimousEscrow(options = {}) {
+        return deployAndInitializeEscrow({ confirmationsThreshold: 10000, options });
+      }
+
+      it("should revoke a confirmation while the threshold is not reached", async function () {
+        const unanimousEscrow = await deployUnanimousEscrow();
+        await unanimousEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await unanimousEscrow.connect(participant1).confirm();
+
+        await expect(unanimousEscrow.connect(participant1).revokeConfirmation())
+          .to.emit(unanimousEscrow, "ConfirmationRevoked")
+          .withArgs(participant1.address);
+        expect(await unanimousEscrow.hasConfirmed(participant1.address)).to.equal(false);
+        expect(await unanimousEscrow.confirmationsWeight()).to.equal(0);
+
+        await unanimousEscrow.connect(participant2).confirm();
+        expect(await unanimousEscrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+        await unanimousEscrow.connect(participant1).confirm();
+        expect(await unanimousEscrow.state()).to.equal(3); // State.RESOLVED
+      });
+
+      it("should revoke the deposits counted with weightByDeposits", async function () {
+        const unanimousEscrow = await deployUnanimousEscrow({ weightByDeposits: true });
+        await unanimousEscrow.connect(participant1).depositETH({ value: ethers.parseEther("0.6") });
+        await unanimousEscrow.connect(participant2).depositETH({ value: ethers.parseEther("0.4") });
+        await unanimousEscrow.connect(participant1).confirm();
+        expect(await unanimousEscrow.confirmedDeposits(ethers.ZeroAddress)).to.equal(
+          ethers.parseEther("0.6")
+        );
+
+        await unanimousEscrow.connect(participant1).revokeConfirmation();
+        expect(await unanimousEscrow.confirmedDeposits(ethers.ZeroAddress)).to.equal(0);
+      });
+
+      it("should reject invalid revocations", async function () {
+        await expect(escrow.connect(participant1).revokeConfirmation()).to.be.revertedWith(
+          "Invalid state"
+        );
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await expect(escrow.connect(participant1).revokeConfirmation()).to.be.revertedWith(
+          "Not confirmed"
+        );
+        await expect(escrow.connect(recipient1).revokeConfirmation()).to.be.revertedWith(
+          "Not a participant"
+        );
+
+        // Al alcanzar el umbral el hito se libera y ya no hay nada que revocar
+        await escrow.connect(participant1).confirm();
+        await expect(escrow.connect(participant1).revokeConfirmation()).to.be.revertedWith(
+          "Invalid state"
+        );
+      });
+
+      it("should cancel by mutual agreement before funding completes", async function () {
+        await escrow.connect(participant1).depositETH({ value: ethers.parseEther("0.4") });
+
+        await escrow.connect(participant1).approveCancellation();
+        await escrow.connect(participant2).approveCancellation();
+        await escrow.connect(recipient1).approveCancellation();
+        expect(await escrow.state()).to.equal(0); // State.INIT
+
+        await expect(escrow.connect(recipient2).approveCancellation())
+          .to.emit(escrow, "StateChanged")
+          .withArgs(0, 4); // INIT -> REFUNDED
+        expect(
+          await escrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(ethers.parseEther("0.4"));
+        await expect(escrow.connect(participant1).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(
+          participant1,
+          ethers.parseEther("0.4")
+        );
+      });
+
+      it("should cancel with a configured set of signers while awaiting confirmation", async function () {
+        const unanimousEscrow = await deployUnanimousEscrow({
+          cancellationSigners: [participant1.address, recipient1.address],
+        });
+        await unanimousEscrow.connect(participant1).depositETH({ value: etherAmount });
+
+        await expect(
+          unanimousEscrow.connect(participant2).approveCancellation()
+        ).to.be.revertedWith("Not a cancellation signer");
+        await expect(unanimousEscrow.connect(participant1).approveCancellation())
+          .to.emit(unanimousEscrow, "CancellationApproved")
+          .withArgs(participant1.address);
+        await expect(
+          unanimousEscrow.connect(participant1).approveCancellation()
+        ).to.be.revertedWith("Already approved");
+
+        await unanimousEscrow.connect(recipient1).approveCancellation();
+        expect(await unanimousEscrow.state()).to.equal(4); // State.REFUNDED
+        expect(
+          await unanimousEscrow.balancesToWithdraw(participant1.address, ethers.ZeroAddress)
+        ).to.equal(etherAmount);
+      });
+
+      it("should not cancel once resolved or by outsiders", async function () {
+        await expect(escrow.connect(owner).approveCancellation()).to.be.revertedWith(
+          "Not a cancellation signer"
+        );
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+        await expect(escrow.connect(participant1).approveCancellation()).to.be.revertedWith(
+          "Invalid state"
+        );
+      });
+    });
+
+    describe("Configuration Validation Cases", function () {
+      // createEscrow revierte con el error y validateEscrowParams lo devuelve
+      async function expectInvalid(changes, errorName, args = []) {
+        const params = escrowParams(changes);
+        await expect(escrowFactory.createEscrow(...params))
+          .to.be.revertedWithCustomError(escrowFactory, errorName)
+          .withArgs(...args);
+
+        const problem = escrowFactory.interface.parseError(
+          await escrowFactory.validateEscrowParams(...params)
+        );
+        expect(problem.name).to.equal(errorName);
+        expect([...problem.args]).to.deep.equal(args);
+      }
+
+      it("should accept valid parameters", async function () {
+        expect(await escrowFactory.validateEscrowParams(...escrowParams())).to.equal("0x");
+      });
+
+      it("should reject duplicate participants", async function () {
+        await expectInvalid(
+          {
+            participants: [
+              { addr: participant1.address, share: 5000 },
+              { addr: participant1.address, share: 5000 },
+            ],
+          },
+          "DuplicateParticipant",
+          [participant1.address]
+        );
+      });
+
+      it("should reject duplicate recipients", async function () {
+        await expectInvalid(
+          {
+            recipients: [
+              { addr: recipient1.address, share: 5000 },
+              { addr: recipient1.address, share: 5000 },
+            ],
+          },
+          "DuplicateRecipient",
+          [recipient1.address]
+        );
+      });
+
+      it("should reject zero participant shares", async function () {
+        await expectInvalid(
+          {
+            participants: [
+              { addr: participant1.address, share: 10000 },
+              { addr: participant2.address, share: 0 },
+            ],
+          },
+          "ZeroShare",
+          [participant2.address]
+        );
+      });
+
+      it("should reject zero recipient shares", async function () {
+        await expectInvalid(
+          {
+            recipients: [
+              { addr: recipient1.address, share: 10000 },
+              { addr: recipient2.address, share: 0 },
+            ],
+          },
+          "ZeroShare",
+          [recipient2.address]
+        );
+      });
+
+      it("should reject a zero-address mediator", async function () {
+        await expectInvalid({ mediator: ethers.ZeroAddress }, "ZeroMediator");
+      });
+
+      it("should reject a confirmations threshold above 10000", async function () {
+        await expectInvalid({ confirmationsThreshold: 10001 }, "InvalidThreshold", [10001n]);
+      });
+
+      it("should reject duplicate asset tokens", async function () {
+        await expectInvalid(
+          {
+            assets: [
+              { token: ethers.ZeroAddress, requiredAmount: etherAmount },
+              { token: ethers.ZeroAddress, requiredAmount: etherAmount },
+            ],
+          },
+          "DuplicateToken",
+          [ethers.ZeroAddress]
+        );
+      });
+
+      it("should reject zero required amounts", async function () {
+        await expectInvalid(
+          { assets: [{ token: ethers.ZeroAddress, requiredAmount: 0 }] },
+          "ZeroRequiredAmount",
+          [ethers.ZeroAddress]
+        );
+      });
+
+      it("should reject an empty participants list", async function () {
+        await expectInvalid({ participants: [] }, "EmptyParticipants");
+      });
+
+      it("should reject weighting by deposits without fungible assets", async function () {
+        // Solo un activo no fungible: no hay depósitos por los que ponderar
+        const items = [
+          {
+            standard: 0,
+            token: participant1.address,
+            id: 1,
+            amount: 1,
+            recipient: recipient1.address,
+          },
+        ];
+        await expectInvalid(
+          { assets: [], options: { ...defaultOptions, weightByDeposits: true, items } },
+          "WeightByDepositsWithoutAssets"
+        );
+        expect(
+          await escrowFactory.validateEscrowParams(
+            ...escrowParams({ assets: [], options: { ...defaultOptions, items } })
+          )
+        ).to.equal("0x");
+      });
+
+      it("should reject recipient shares that do not sum to 10000", async function () {
+        await expectInvalid(
+          { recipients: [{ addr: recipient1.address, share: 7000 }] },
+          "InvalidRecipientsSum",
+          [7000n]
+        );
+      });
+
+      it("should reject an unreachable arbitration quorum", async function () {
+        await expectInvalid(
+          { options: { ...defaultOptions, arbitrationQuorum: 2 } },
+          "InvalidQuorum",
+          [2n]
+        );
+      });
+
+      it("should reject quotas for unknown parties or assets", async function () {
+        const quota = { participant: participant1.address, token: ethers.ZeroAddress, amount: etherAmount };
+        await expectInvalid(
+          { options: { ...defaultOptions, quotas: [{ ...quota, participant: recipient1.address }] } },
+          "QuotaForNonParticipant",
+          [recipient1.address]
+        );
+        await expectInvalid(
+          { options: { ...defaultOptions, quotas: [{ ...quota, token: recipient2.address }] } },
+          "QuotaForUnknownAsset",
+          [recipient2.address]
+        );
+      });
+
+      it("should reject a zero-address cancellation signer", async function () {
+        await expectInvalid(
+          { options: { ...defaultOptions, cancellationSigners: [ethers.ZeroAddress] } },
+          "ZeroCancellationSigner"
+        );
+      });
+    });
+
+    describe("Pause Cases", function () {
+      let guardian;
+
+      beforeEach(async function () {
+        guardian = (await ethers.getSigners())[7];
+        await escrowFactory.setGuardian(guardian.address);
+      });
+
+      async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+      }
+
+      async function timestampOf(tx) {
+        const receipt = await tx.wait();
+        return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+      }
+
+      it("should only let the owner appoint the guardian and the guardian pause", async function () {
+        await expect(
+          escrowFactory.connect(participant1).setGuardian(participant1.address)
+        ).to.be.revertedWith("Not owner");
+        await expect(escrowFactory.connect(owner).pause()).to.be.revertedWith("Not guardian");
+        await expect(escrow.connect(mediator).pause()).to.be.revertedWith("Not guardian");
+        await expect(escrow.connect(guardian).unpause()).to.be.revertedWith("Not paused");
+
+        await expect(escrow.connect(guardian).pause())
+          .to.emit(escrow, "Paused")
+          .withArgs(guardian.address);
+        await expect(escrow.connect(guardian).pause()).to.be.revertedWith("Already paused");
+
+        // El guardián retirado ya no puede reanudar
+        await expect(escrowFactory.setGuardian(ethers.ZeroAddress))
+          .to.emit(escrowFactory, "GuardianChanged")
+          .withArgs(ethers.ZeroAddress);
+        await expect(escrow.connect(guardian).unpause()).to.be.revertedWith("Not guardian");
+      });
+
+      it("should let the owner unpause after removing the guardian", async function () {
+        await escrow.connect(guardian).pause();
+        await escrowFactory.connect(guardian).pause();
+        await escrowFactory.setGuardian(ethers.ZeroAddress);
+
+        await expect(escrow.connect(participant1).unpause()).to.be.revertedWith("Not guardian");
+        await expect(escrowFactory.connect(participant1).unpause()).to.be.revertedWith(
+          "Not guardian"
+        );
+        await expect(escrow.connect(owner).unpause()).to.emit(escrow, "Unpaused");
+        await expect(escrowFactory.connect(owner).unpause()).to.emit(escrowFactory, "Unpaused");
+        expect(await escrow.isPaused()).to.equal(false);
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+      });
+
+      it("should block deposits, confirmations and disputes while paused", async function () {
+        await escrow.connect(guardian).pause();
+        expect(await escrow.isPaused()).to.equal(true);
+        await expect(
+          escrow.connect(participant1).depositETH({ value: etherAmount })
+        ).to.be.revertedWith("Paused");
+
+        await escrow.connect(guardian).unpause();
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(guardian).pause();
+        await expect(escrow.connect(participant1).confirm()).to.be.revertedWith("Paused");
+
+        await increaseTime(86400 * 3);
+        // El plazo de confirmación no avanza durante la pausa
+        await expect(escrow.forceRefund()).to.be.revertedWith("Confirmation period not ended");
+        await escrow.connect(guardian).unpause();
+        await expect(
+          escrow.connect(participant1).raiseDispute("Work not delivered")
+        ).to.be.revertedWith("Confirmation period not ended");
+      });
+
+      it("should still allow withdrawing allocated funds while paused", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(participant1).confirm();
+        expect(await escrow.state()).to.equal(3); // State.RESOLVED
+
+        await escrow.connect(guardian).pause();
+        await escrowFactory.connect(guardian).pause();
+        await expect(escrow.connect(recipient1).withdraw(ethers.ZeroAddress))
+          .to.emit(escrow, "Withdrawn")
+          .withArgs(recipient1.address, ethers.parseEther("0.7"), ethers.ZeroAddress);
+      });
+
+      it("should extend the funding period by the paused duration", async function () {
+        await escrow.connect(guardian).pause();
+        await increaseTime(3600);
+        await expect(escrow.connect(guardian).unpause())
+          .to.emit(escrow, "Unpaused")
+          .withArgs(guardian.address, 3601);
+
+        await increaseTime(86400 - 100);
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        expect(await escrow.state()).to.equal(1); // State.AWAITING_CONFIRMATION
+      });
+
+      it("should extend the confirmation period by the paused duration", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await escrow.connect(guardian).pause();
+        await increaseTime(86400);
+        await escrow.connect(guardian).unpause();
+
+        await increaseTime(86400 - 100);
+        await expect(escrow.forceRefund()).to.be.revertedWith("Confirmation period not ended");
+        await increaseTime(100);
+        await escrow.forceRefund();
+        expect(await escrow.state()).to.equal(4); // State.REFUNDED
+      });
+
+      it("should extend the dispute period by the paused duration", async function () {
+        await escrow.connect(participant1).depositETH({ value: etherAmount });
+        await increaseTime(86401);
+        await escrow.connect(participant1).raiseDispute("Work not delivered");
+
+        await escrowFactory.connect(guardian).pause();
+        await expect(escrow.connect(mediator).resolveDisputeRefundAll()).to.be.revertedWith(
+          "Paused"
+        );
+        await increaseTime(86400 * 2);
+        await escrowFactory.connect(guardian).unpause();
+
+        await expect(escrow.forceRefund()).to.be.revertedWith("Dispute period not ended");
+        await escrow.connect(mediator).resolveDisputeToRecipients();
+        expect(await escrow.state()).to.equal(3); // State.RESOLVED
+      });
+
+      it("should pause every escrow of the factory at once", async function () {
+        const other = await deployAndInitializeEscrow();
+        const tx = await escrowFactory.connect(guardian).pause();
+        await expect(tx).to.emit(escrowFactory, "Paused").withArgs(guardian.address);
+        const start = await timestampOf(tx);
+        await expect(escrowFactory.connect(guardian).pause()).to.be.revertedWith(
+          "Already paused"
+        );
+
+        expect(await escrow.isPaused()).to.equal(true);
+        expect(await other.isPaused()).to.equal(true);
+        await expect(
+          other.connect(participant2).depositETH({ value: etherAmount })
+        ).to.be.revertedWith("Paused");
+
+        await increaseTime(1000);
+        const end = await timestampOf(await escrowFactory.connect(guardian).unpause());
+        expect(await other.isPaused()).to.equal(false);
+        expect(await other.pausedTime()).to.equal(end - start);
+        await other.connect(participant2).depositETH({ value: etherAmount });
+
+        // Un escrow creado después no hereda las pausas globales anteriores
+        const later = await deployAndInitializeEscrow();
+        expect(await later.pausedTime()).to.equal(0);
+      });
+
+      it("should not count twice a local pause overlapping a global one", async function () {
+        const start = await timestampOf(await escrow.connect(guardian).pause());
+        await increaseTime(1000);
+        await escrowFactory.connect(guardian).pause();
+        await increaseTime(1000);
+        await escrow.connect(guardian).unpause();
+        // La pausa global sigue activa
+        expect(await escrow.isPaused()).to.equal(true);
+        await increaseTime(1000);
+        const end = await timestampOf(await escrowFactory.connect(guardian).unpause());
+
+        expect(await escrow.pausedTime()).to.equal(end - start);
+        const details = await escrowFactory.getEscrowDetails(escrow.target);
+        expect(details.paused_).to.equal(false);
+        expect(details.pausedTime_).to.equal(end - start);
+      });
+    });
+
+    describe("Observer Cases", function () {
+      let EscrowObserverMock, RevertingObserverMock;
+
+      beforeEach(async function () {
+        EscrowObserverMock = await ethers.getContractFactory("EscrowObserverMock");
+        RevertingObserverMock = await ethers.getContractFactory("RevertingObserverMock");
+      });
+
+      // Escrow por defecto (1 ETH, receptores 70/30) notificando a observer
+      async function deployObservedEscrow(observer) {
+        return deployAndInitializeEscrow({ options: { observer: observer.target } });
+      }
+
+      // Hooks recibidos por el observador, como nombres de función
+      async function recordedHooks(observer, observedEscrow) {
+        const hooks = [];
+        const count = await observer.callsCount();
+        for (let i = 0; i < count; i++) {
+          expect(await observer.escrows(i)).to.equal(observedEscrow.target);
+          hooks.push(observer.interface.getFunction(await observer.hooks(i)).name);
+        }
+        return hooks;
+      }
+
+      async function increaseTime(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+      }
+
+      it("should notify the observer when funded and resolved", async function () {
+        const observer = await EscrowObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        expect(await observedEscrow.observer()).to.equal(observer.target);
+
+        await expect(
+          observedEscrow.connect(participant1).depositETH({ value: etherAmount })
+        ).to.not.emit(observedEscrow, "ObserverCallFailed");
+        expect(await recordedHooks(observer, observedEscrow)).to.deep.equal(["onEscrowFunded"]);
+
+        await observedEscrow.connect(participant1).confirm();
+        expect(await recordedHooks(observer, observedEscrow)).to.deep.equal([
+          "onEscrowFunded",
+          "onEscrowResolved",
+        ]);
+      });
+
+      it("should notify the observer of disputes and refunds", async function () {
+        const observer = await EscrowObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        await observedEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await increaseTime(86401);
+
+        await observedEscrow.connect(recipient1).raiseDispute("Payment withheld");
+        await observedEscrow.connect(mediator).resolveDisputeRefundAll();
+        expect(await recordedHooks(observer, observedEscrow)).to.deep.equal([
+          "onEscrowFunded",
+          "onEscrowDisputed",
+          "onEscrowRefunded",
+        ]);
+      });
+
+      it("should notify a refund of an escrow that was never funded", async function () {
+        const observer = await EscrowObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        await increaseTime(86401);
+
+        await observedEscrow.forceRefund();
+        expect(await recordedHooks(observer, observedEscrow)).to.deep.equal(["onEscrowRefunded"]);
+      });
+
+      it("should not let a reverting observer block the escrow", async function () {
+        const observer = await RevertingObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        const hook = (name) => observer.interface.getFunction(name).selector;
+
+        await expect(observedEscrow.connect(participant1).depositETH({ value: etherAmount }))
+          .to.emit(observedEscrow, "ObserverCallFailed")
+          .withArgs(observer.target, hook("onEscrowFunded"));
+        await expect(observedEscrow.connect(participant1).confirm())
+          .to.emit(observedEscrow, "ObserverCallFailed")
+          .withArgs(observer.target, hook("onEscrowResolved"));
+        expect(await observedEscrow.state()).to.equal(3); // State.RESOLVED
+
+        await expect(
+          observedEscrow.connect(recipient1).withdraw(ethers.ZeroAddress)
+        ).to.changeEtherBalance(recipient1, ethers.parseEther("0.7"));
+      });
+
+      it("should cap the gas an observer can consume", async function () {
+        const observer = await RevertingObserverMock.deploy();
+        await observer.setBurnGas(true);
+        const observedEscrow = await deployObservedEscrow(observer);
+        await observedEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await increaseTime(86401);
+
+        const tx = await observedEscrow.forceRefund({ gasLimit: 5000000 });
+        await expect(tx).to.emit(observedEscrow, "ObserverCallFailed");
+        const receipt = await tx.wait();
+        // El observador agota solo su límite, no todo el gas de la transacción
+        expect(receipt.gasUsed).to.be.lessThan(
+          (await observedEscrow.OBSERVER_GAS_LIMIT()) + 300000n
+        );
+        expect(await observedEscrow.state()).to.equal(4); // State.REFUNDED
+      });
+
+      it("should require enough gas to honour the observer gas limit", async function () {
+        const observer = await EscrowObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        await observedEscrow.connect(participant1).depositETH({ value: etherAmount });
+        await increaseTime(86401);
+
+        // Con gas para el reembolso pero no para el observador, no se reembolsa en silencio
+        const gasLimit = (await observedEscrow.forceRefund.estimateGas()) - 20000n;
+        await expect(observedEscrow.forceRefund({ gasLimit })).to.be.revertedWith(
+          "Not enough gas for observer"
+        );
+        await observedEscrow.forceRefund();
+        expect(await recordedHooks(observer, observedEscrow)).to.deep.equal([
+          "onEscrowFunded",
+          "onEscrowRefunded",
+        ]);
+      });
+
+      it("should report the observer in the escrow details", async function () {
+        const observer = await EscrowObserverMock.deploy();
+        const observedEscrow = await deployObservedEscrow(observer);
+        expect((await escrowFactory.getEscrowDetails(observedEscrow.target)).observer_).to.equal(
+          observer.target
+        );
+        expect((await escrowFactory.getEscrowDetails(escrow.target)).observer_).to.equal(
+          ethers.ZeroAddress
+        );
+      });
+    });
+
   });
 });
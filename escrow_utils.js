@@ -0,0 +1,144 @@
+// Utilidades para interactuar con Escrow desde JavaScript (ethers v6)
+const { AbiCoder, Signature, getCreate2Address, keccak256 } = require("ethers");
+
+// Tipos EIP-712 de una confirmación firmada, deben coincidir con CONFIRM_TYPEHASH
+const CONFIRM_TYPES = {
+  Confirm: [
+    { name: "escrow", type: "address" },
+    { name: "participant", type: "address" },
+    { name: "milestone", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Dominio EIP-712 de un escrow concreto
+function escrowDomain(escrowAddress, chainId) {
+  return {
+    name: "SimpleEscrow",
+    version: "1",
+    chainId,
+    verifyingContract: escrowAddress,
+  };
+}
+
+// Construye el mensaje tipado de confirmación, listo para signTypedData
+function buildConfirmTypedData({ escrow, participant, milestone, nonce, deadline, chainId }) {
+  return {
+    domain: escrowDomain(escrow, chainId),
+    types: CONFIRM_TYPES,
+    message: { escrow, participant, milestone, nonce, deadline },
+  };
+}
+
+// Firma la confirmación del hito actual leyendo nonce e hito del propio escrow.
+// Devuelve el objeto que espera confirmWithSignatures()
+async function signConfirmation(signer, escrow, deadline) {
+  const participant = await signer.getAddress();
+  const escrowAddress = await escrow.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const milestone = await escrow.currentMilestone();
+  const nonce = await escrow.nonces(participant);
+
+  const { domain, types, message } = buildConfirmTypedData({
+    escrow: escrowAddress,
+    participant,
+    milestone,
+    nonce,
+    deadline,
+    chainId,
+  });
+  const signature = await signer.signTypedData(domain, types, message);
+
+  return { participant, deadline, signature };
+}
+
+// Tipos EIP-2612 de un permit
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Firma un permit EIP-2612 para que el escrow pueda tomar los tokens.
+// Devuelve { v, r, s } para depositTokenWithPermit(token, amount, deadline, v, r, s)
+async function signPermit(signer, token, spender, value, deadline, version = "1") {
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const domain = {
+    name: await token.name(),
+    version,
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+  const message = {
+    owner,
+    spender,
+    value,
+    nonce: await token.nonces(owner),
+    deadline,
+  };
+
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, message);
+  const { v, r, s } = Signature.from(signature);
+  return { v, r, s };
+}
+
+// Tipos ABI de los parámetros de createEscrow, en el mismo orden. Deben coincidir
+// con los que EscrowFactory codifica en _escrowSalt
+const ESCROW_PARAM_TYPES = [
+  "address",
+  "tuple(address addr, uint256 share)[]",
+  "tuple(address addr, uint256 share)[]",
+  "tuple(address token, uint256 requiredAmount)[]",
+  "tuple(uint256 share, uint256 confirmationPeriod)[]",
+  "uint256",
+  "uint256",
+  "uint256",
+  "uint256",
+  "tuple(tuple(address participant, address token, uint256 amount)[] quotas, bool enforceQuotas, bool weightByDeposits, uint256 mediatorFee, bool chargeMediatorFeeAlways, address[] arbitrators, uint256 arbitrationQuorum, address appealArbitrator, uint256 appealPeriod, uint256 appealBond, bool recipientPositions, uint256 vestingDuration, uint256 vestingCliff, bool amendmentsRequireMediator, tuple(uint8 standard, address token, uint256 id, uint256 amount, address recipient)[] items, bool optimistic, address[] cancellationSigners, address observer, string metaEvidence)",
+];
+
+// Salt efectivo de CREATE2: el salt del usuario ligado a los parámetros del escrow.
+// params es el array de argumentos de createEscrow (mediator, participants, ..., options)
+function escrowSalt(params, salt) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode([...ESCROW_PARAM_TYPES, "bytes32"], [...params, salt])
+  );
+}
+
+// Código de creación del clon EIP-1167 que despliega EscrowFactory
+function cloneInitCode(implementation) {
+  return (
+    "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+    implementation.slice(2).toLowerCase() +
+    "5af43d82803e903d91602b57fd5bf3"
+  );
+}
+
+// Calcula sin conexión la dirección de createEscrowDeterministic(...params, salt),
+// igual que EscrowFactory.predictEscrowAddress
+function predictEscrowAddress(factory, implementation, params, salt) {
+  return getCreate2Address(
+    factory,
+    escrowSalt(params, salt),
+    keccak256(cloneInitCode(implementation))
+  );
+}
+
+module.exports = {
+  CONFIRM_TYPES,
+  PERMIT_TYPES,
+  ESCROW_PARAM_TYPES,
+  escrowDomain,
+  buildConfirmTypedData,
+  signConfirmation,
+  signPermit,
+  escrowSalt,
+  cloneInitCode,
+  predictEscrowAddress,
+};